@@ -5,7 +5,7 @@ import reactHooks from 'eslint-plugin-react-hooks'
 import reactRefresh from 'eslint-plugin-react-refresh'
 
 export default [
-  { ignores: ['dist'] },
+  { ignores: ['dist', 'dist-lib'] },
   {
     files: ['**/*.{js,jsx}'],
     languageOptions: {
@@ -29,10 +29,23 @@ export default [
       ...react.configs['jsx-runtime'].rules,
       ...reactHooks.configs.recommended.rules,
       'react/jsx-no-target-blank': 'off',
+      // React 19 no longer checks propTypes, and no component here declares them.
+      'react/prop-types': 'off',
+      // Props of react-three-fiber's three.js elements, which aren't DOM attributes.
+      'react/no-unknown-property': ['error', {
+        ignore: [
+          'args', 'attach', 'dispose', 'frustumCulled', 'geometry', 'intensity', 'map', 'material', 'object',
+          'position', 'quaternion', 'raycast', 'rotation', 'scale', 'toneMapped', 'visible', 'wireframe',
+        ],
+      }],
       'react-refresh/only-export-components': [
         'warn',
         { allowConstantExport: true },
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: { globals: globals.node },
+  },
 ]
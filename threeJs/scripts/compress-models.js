@@ -0,0 +1,106 @@
+// Compresses GLBs for the web and reports the savings. Reads the exports
+// given (files, or folders of them) and writes the result to public/ under the
+// same name, which is where the scene manifest loads models from. The GLBs
+// already in public/ were exported compressed; there is nothing to rerun this
+// on until a model is re-exported from Blender.
+//
+//   npm run compress -- ~/exports/fan.glb          one export
+//   npm run compress -- ~/exports                  every GLB in a folder
+//   npm run compress -- --draco ~/exports/fan.glb  Draco instead of Meshopt geometry
+//
+// Meshopt (the default) decodes fastest and quantizes vertex data; Draco
+// usually gives smaller files for dense meshes. Both decoders, and the KTX2
+// transcoder for textures, are served locally by the app (see src/gltf.js).
+// Material, mesh and node names and glTF extras are kept, since material
+// rules, hotspots and the info card match on them.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Logger, NodeIO, PropertyType } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { dedup, draco, meshopt, prune } from '@gltf-transform/functions';
+import draco3d from 'draco3dgltf';
+import { MeshoptDecoder, MeshoptEncoder } from 'meshoptimizer';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT_DIR = path.join(root, 'public');
+
+const args = process.argv.slice(2);
+const useDraco = args.includes('--draco');
+
+const USAGE = `Usage: npm run compress -- [--draco] <export.glb | folder of exports>...
+
+Writes each compressed GLB to public/ under the same name. The GLBs already in
+public/ are Meshopt-compressed; pass the uncompressed Blender exports.`;
+
+const listSources = () => args
+  .filter(arg => !arg.startsWith('--'))
+  .map(arg => path.resolve(arg))
+  .flatMap(source => (fs.statSync(source, { throwIfNoEntry: false })?.isDirectory()
+    ? fs.readdirSync(source).filter(file => file.endsWith('.glb')).map(file => path.join(source, file))
+    : [source]));
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+const createIO = async () => {
+  await Promise.all([MeshoptDecoder.ready, MeshoptEncoder.ready]);
+  return new NodeIO()
+    .setLogger(new Logger(Logger.Verbosity.WARN))
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder,
+    });
+};
+
+const compress = (document) => document.transform(
+  // Only share identical buffers and textures: merging materials or meshes
+  // would drop the names that material rules match on.
+  dedup({ propertyTypes: [PropertyType.ACCESSOR, PropertyType.TEXTURE] }),
+  prune({ keepLeaves: true, keepAttributes: true, keepExtras: true }),
+  useDraco ? draco({ method: 'edgebreaker' }) : meshopt({ encoder: MeshoptEncoder, level: 'medium' }),
+);
+
+const main = async () => {
+  const sources = listSources();
+  if (sources.length === 0) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  const missing = sources.filter(source => !fs.existsSync(source));
+  if (missing.length > 0) {
+    console.error(`Not found: ${missing.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const io = await createIO();
+  let totalBefore = 0;
+  let totalAfter = 0;
+
+  for (const source of sources) {
+    const output = path.join(OUTPUT_DIR, path.basename(source));
+    const before = fs.statSync(source).size;
+    const document = await io.read(source);
+    await compress(document);
+    await io.write(output, document);
+    const after = fs.statSync(output).size;
+
+    totalBefore += before;
+    totalAfter += after;
+    const saving = ((1 - after / before) * 100).toFixed(0);
+    console.log(`${path.basename(source).padEnd(20)} ${formatSize(before).padStart(10)} -> ${formatSize(after).padStart(10)}  ${saving}%`);
+  }
+
+  const saving = ((1 - totalAfter / totalBefore) * 100).toFixed(0);
+  console.log(`${'total'.padEnd(20)} ${formatSize(totalBefore).padStart(10)} -> ${formatSize(totalAfter).padStart(10)}  ${saving}%`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,146 @@
+// Visual regression snapshots. Serves the production build, renders every
+// camera view of every scene manifest in headless Chrome on SwiftShader (a
+// software WebGL implementation, so no GPU is needed and results match across
+// machines), and compares each frame with the reference image in snapshots/.
+//
+//   npm run snapshots            build, render and compare
+//   npm run snapshots:update     overwrite the references with this render
+//
+// Failing views write `<name>.actual.png` and `<name>.diff.png` (changed
+// pixels in red) to snapshots/output/. A view without a reference fails too;
+// --update writes it. PUPPETEER_EXECUTABLE_PATH names the Chrome or Chromium
+// to run, as nothing is downloaded on install.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import puppeteer from 'puppeteer-core';
+import { preview } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SCENES_DIR = path.join(root, 'src/scenes');
+const REFERENCE_DIR = path.join(root, 'snapshots');
+const OUTPUT_DIR = path.join(REFERENCE_DIR, 'output');
+
+// Every snapshot is taken at the same moment: a paused scene clock, a fixed
+// hour for the day/night cycle and a fixed quality level and viewport.
+const VIEWPORT = { width: 1280, height: 720, deviceScaleFactor: 1 };
+const SCENE_PARAMS = { snapshot: '', paused: '', time: 2, hour: 12, quality: 'high' };
+
+// Per-pixel color distance (0-1) below which pixels count as equal, and the
+// share of differing pixels a view may have before it fails.
+const PIXEL_THRESHOLD = 0.1;
+const MAX_DIFF_RATIO = 0.002;
+
+// SwiftShader is slow; loading the GLBs and compiling shaders takes a while.
+const READY_TIMEOUT = 180 * 1000;
+
+const update = process.argv.includes('--update');
+const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+
+const listViews = () => fs.readdirSync(SCENES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .flatMap((file) => {
+    const scene = path.basename(file, '.json');
+    const manifest = JSON.parse(fs.readFileSync(path.join(SCENES_DIR, file), 'utf8'));
+    return (manifest.camera?.views ?? []).map(view => ({ scene, view: view.name, name: `${scene}-${view.name}` }));
+  });
+
+const sceneUrl = (baseUrl, { scene, view }) => {
+  const params = new URLSearchParams({ ...SCENE_PARAMS, scene, view });
+  return `${baseUrl}?${params.toString().replace(/=(&|$)/g, '$1')}`;
+};
+
+const render = async (browser, url) => {
+  const page = await browser.newPage();
+  try {
+    await page.setViewport(VIEWPORT);
+    page.on('pageerror', error => console.error(`  page error: ${error.message}`));
+    await page.goto(url);
+    await page.waitForSelector('html[data-scene-ready]', { timeout: READY_TIMEOUT });
+    return PNG.sync.read(Buffer.from(await page.screenshot({ type: 'png' })));
+  } finally {
+    await page.close();
+  }
+};
+
+const compare = (actual, expected) => {
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    return { message: `size changed from ${expected.width}x${expected.height} to ${actual.width}x${actual.height}` };
+  }
+  const diff = new PNG({ width: actual.width, height: actual.height });
+  const changed = pixelmatch(actual.data, expected.data, diff.data, actual.width, actual.height, { threshold: PIXEL_THRESHOLD });
+  const ratio = changed / (actual.width * actual.height);
+  return {
+    diff,
+    ratio,
+    message: ratio > MAX_DIFF_RATIO ? `${(ratio * 100).toFixed(2)}% of pixels differ (limit ${MAX_DIFF_RATIO * 100}%)` : null,
+  };
+};
+
+const main = async () => {
+  if (!executablePath) {
+    console.error('Set PUPPETEER_EXECUTABLE_PATH to a Chrome or Chromium binary to render the snapshots.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const views = listViews();
+  const server = await preview({ root, logLevel: 'warn', preview: { port: 4173 } });
+  const failures = [];
+  let browser;
+
+  try {
+    browser = await puppeteer.launch({
+      executablePath,
+      args: [
+        '--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist',
+        // Chrome refuses to start sandboxed as root, as in most CI containers.
+        ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
+      ],
+    });
+    console.log(`Rendering with ${await browser.version()}`);
+    fs.mkdirSync(REFERENCE_DIR, { recursive: true });
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+
+    for (const entry of views) {
+      const referencePath = path.join(REFERENCE_DIR, `${entry.name}.png`);
+      const actual = await render(browser, sceneUrl(server.resolvedUrls.local[0], entry));
+
+      if (update) {
+        fs.writeFileSync(referencePath, PNG.sync.write(actual));
+        console.log(`${entry.name}: updated`);
+        continue;
+      }
+
+      const { diff, ratio, message } = fs.existsSync(referencePath)
+        ? compare(actual, PNG.sync.read(fs.readFileSync(referencePath)))
+        : { message: `no reference in ${path.relative(root, REFERENCE_DIR)}/; run with --update to write it` };
+      if (!message) {
+        console.log(`${entry.name}: ok (${(ratio * 100).toFixed(3)}% differ)`);
+        continue;
+      }
+
+      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+      fs.writeFileSync(path.join(OUTPUT_DIR, `${entry.name}.actual.png`), PNG.sync.write(actual));
+      if (diff) fs.writeFileSync(path.join(OUTPUT_DIR, `${entry.name}.diff.png`), PNG.sync.write(diff));
+      console.error(`${entry.name}: FAILED, ${message}`);
+      failures.push(entry.name);
+    }
+  } finally {
+    await browser?.close();
+    await new Promise(resolve => server.httpServer.close(resolve));
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} of ${views.length} snapshots failed; see ${path.relative(root, OUTPUT_DIR)}/`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,93 @@
+import { useSyncExternalStore } from 'react';
+import { useSceneClock } from './sceneClock.js';
+
+// The scrubber covers one minute of scene time at a time; every manifest
+// animation loops well within that.
+const SCRUB_RANGE = 60;
+
+const TIME_SCALES = [0.1, 0.25, 0.5, 1, 2];
+
+// Frame rate used when fixed steps are turned on from the controls.
+const FIXED_STEPS_PER_SECOND = 60;
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'none',
+  color: 'white',
+  border: 'none',
+  borderRadius: '25px',
+  cursor: 'pointer',
+  fontSize: '10px',
+  outline: 'none',
+};
+
+const toggleStyle = (isOn) => ({ ...buttonStyle, opacity: isOn ? 1 : 0.4 });
+
+// --- Animation Controls ---
+// Drives the scene clock: pause/resume, frame stepping, scrubbing, slow motion,
+// fixed steps and reduced motion, for every model animation and the room sway.
+function AnimationControls() {
+  const clock = useSceneClock();
+  const { time, playing, timeScale, fixedStep, reducedMotion } = useSyncExternalStore(clock.subscribe, clock.getSnapshot);
+  const windowStart = Math.floor(time / SCRUB_RANGE) * SCRUB_RANGE;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 1000,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '4px',
+      padding: '6px 12px',
+      background: 'rgba(0, 0, 0, 0.18)',
+      color: 'white',
+      borderRadius: '25px',
+      fontSize: '10px',
+    }}>
+      <button onClick={clock.toggle} style={buttonStyle} aria-label={playing ? 'Pause animation' : 'Play animation'}>
+        {playing ? '❚❚ A N I M' : '▶ A N I M'}
+      </button>
+      <button onClick={clock.stepFrame} disabled={playing} style={{ ...buttonStyle, opacity: playing ? 0.4 : 1 }} aria-label="Next frame">
+        ›|
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={SCRUB_RANGE}
+        step={0.1}
+        value={time - windowStart}
+        onChange={event => clock.seek(windowStart + Number(event.target.value))}
+        aria-label="Scene time"
+        style={{ width: '120px' }}
+      />
+      <span style={{ width: '40px', textAlign: 'right' }}>{time.toFixed(1)}s</span>
+      <select
+        value={timeScale}
+        onChange={event => clock.setTimeScale(Number(event.target.value))}
+        aria-label="Speed"
+        style={{ background: 'none', color: 'white', border: 'none', fontSize: '10px' }}
+      >
+        {TIME_SCALES.map(scale => <option key={scale} value={scale} style={{ color: 'black' }}>{scale}×</option>)}
+      </select>
+      <button
+        onClick={() => clock.setFixedStep(fixedStep ? null : FIXED_STEPS_PER_SECOND)}
+        style={toggleStyle(fixedStep !== null)}
+        title="Advance a fixed step per frame, for reproducible frames"
+      >
+        FIXED
+      </button>
+      <button
+        onClick={() => clock.setReducedMotion(!reducedMotion)}
+        style={toggleStyle(reducedMotion)}
+        title="Hold the room sway and the ceiling fan still"
+      >
+        CALM
+      </button>
+    </div>
+  );
+}
+
+export default AnimationControls;
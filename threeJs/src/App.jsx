@@ -1,11 +1,18 @@
 // src/App.jsx
-import React from 'react';
 import ThreeScene from './ThreeScene';
+import { isFramed, parentBridge } from './embedBridge.js';
+import { readUrlOptions } from './urlOptions.js';
+
+// The app is the one place that reads the page URL; see urlOptions.js.
+const { parentOrigin, ...urlOptions } = readUrlOptions();
+const sceneEvents = isFramed() ? parentBridge(parentOrigin) : {};
 
 function App() {
+  // The scene fills this container; it takes the whole window here. Inside an
+  // iframe its events are passed on to the parent page.
   return (
-    <div>
-      <ThreeScene />
+    <div style={{ position: 'fixed', inset: 0 }}>
+      <ThreeScene {...urlOptions} {...sceneEvents} />
     </div>
   );
 }
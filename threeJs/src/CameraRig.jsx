@@ -0,0 +1,149 @@
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { easings } from './easing.js';
+import { useSceneClock } from './sceneClock.js';
+
+// Zoom at the 1920×1080 baseline, used until the room's bounds are known.
+export const BASE_ZOOM = 100;
+const BASELINE = { width: 1920, height: 1080 };
+
+// Share of the canvas the room's bounds fill at a view's `zoom` of 1, leaving
+// room for the sway.
+const FIT_FILL = 0.9;
+
+// How far pinching or scrolling may zoom out of and into the fitted view.
+const ZOOM_RANGE = [0.5, 4];
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+const limitZoom = (controls, fit) => {
+  controls.minZoom = fit * ZOOM_RANGE[0];
+  controls.maxZoom = fit * ZOOM_RANGE[1];
+};
+
+/**
+ * Zoom at which `bounds` (a Box3 around the room), seen from `view`, fits a
+ * canvas of `size` in both directions. Without bounds the baseline zoom is
+ * scaled to whichever side of the canvas is shorter.
+ */
+const fitZoom = (view, size, bounds) => {
+  if (!bounds) return BASE_ZOOM * Math.min(size.width / BASELINE.width, size.height / BASELINE.height);
+
+  // The orthographic frustum is centered on the target, so the room's extent
+  // is measured from there along the screen's axes.
+  const target = new THREE.Vector3(...view.target);
+  const forward = target.clone().sub(new THREE.Vector3(...view.position)).normalize();
+  const right = new THREE.Vector3().crossVectors(forward, UP).normalize();
+  const up = new THREE.Vector3().crossVectors(right, forward);
+
+  let halfWidth = 0;
+  let halfHeight = 0;
+  for (let corner = 0; corner < 8; corner += 1) {
+    const point = new THREE.Vector3(
+      corner & 1 ? bounds.max.x : bounds.min.x,
+      corner & 2 ? bounds.max.y : bounds.min.y,
+      corner & 4 ? bounds.max.z : bounds.min.z,
+    ).sub(target);
+    halfWidth = Math.max(halfWidth, Math.abs(point.dot(right)));
+    halfHeight = Math.max(halfHeight, Math.abs(point.dot(up)));
+  }
+  return FIT_FILL * Math.min(size.width / (2 * halfWidth), size.height / (2 * halfHeight));
+};
+
+// --- Camera Rig ---
+// Eases the default camera and the OrbitControls target to the requested view.
+// `request` is a new object per button press so picking the same view again
+// (after orbiting away) still transitions back to it.
+//
+// It also sizes the orthographic frustum to the canvas (which follows its
+// container, not the window) and fits the room's `bounds` to it, so the room
+// stays whole in portrait and landscape alike.
+function CameraRig({ views, request, transition, bounds }) {
+  const { camera, controls } = useThree();
+  const size = useThree(state => state.size);
+  const clock = useSceneClock();
+  const tween = useRef(null);
+  const isFirstView = useRef(true);
+
+  useEffect(() => {
+    const view = views.find(candidate => candidate.name === request.name);
+    if (!view || !controls) return;
+
+    const to = {
+      position: new THREE.Vector3(...view.position),
+      target: new THREE.Vector3(...view.target),
+      zoom: view.zoom,
+    };
+
+    // The first view is applied instantly so the scene doesn't open mid-flight,
+    // and so is every view when reduced motion is on.
+    const duration = isFirstView.current || clock.isReducedMotion() ? 0 : transition.duration;
+    isFirstView.current = false;
+
+    tween.current = {
+      from: {
+        position: camera.position.clone(),
+        target: controls.target.clone(),
+        zoom: camera.zoom,
+      },
+      to,
+      elapsed: 0,
+      duration,
+      ease: easings[transition.easing] ?? easings.easeInOutCubic,
+    };
+    // Zoom limits are lifted until the view is reached, so the fits of two
+    // views differing can't make the zoom jump on the way.
+    controls.enabled = false;
+    controls.minZoom = 0;
+    controls.maxZoom = Infinity;
+  }, [request, views, transition, camera, controls, clock]);
+
+  // Declared after the transition so a new view's tween already exists here.
+  // Between transitions a resize keeps whatever zoom the user pinched or
+  // scrolled to, relative to the fit.
+  useEffect(() => {
+    if (!camera.isOrthographicCamera) return;
+
+    camera.left = -size.width / 2;
+    camera.right = size.width / 2;
+    camera.top = size.height / 2;
+    camera.bottom = -size.height / 2;
+
+    const view = views.find(candidate => candidate.name === request.name) ?? views[0];
+    const zoom = fitZoom(view, size, bounds);
+    if (!tween.current && camera.userData.fitZoom) {
+      camera.zoom *= zoom / camera.userData.fitZoom;
+    }
+    camera.userData.fitZoom = zoom;
+    camera.updateProjectionMatrix();
+
+    if (controls && !tween.current) limitZoom(controls, zoom);
+  }, [size, bounds, views, request, camera, controls]);
+
+  useFrame((_, delta) => {
+    const current = tween.current;
+    if (!current || !controls) return;
+
+    current.elapsed += delta;
+    const progress = current.duration > 0 ? Math.min(current.elapsed / current.duration, 1) : 1;
+    const t = current.ease(progress);
+
+    camera.position.lerpVectors(current.from.position, current.to.position, t);
+    controls.target.lerpVectors(current.from.target, current.to.target, t);
+    // The fit is read every frame, so a resize mid-flight still lands right.
+    camera.zoom = THREE.MathUtils.lerp(current.from.zoom, camera.userData.fitZoom * current.to.zoom, t);
+    camera.updateProjectionMatrix();
+    controls.update();
+
+    if (progress === 1) {
+      tween.current = null;
+      controls.enabled = true;
+      limitZoom(controls, camera.userData.fitZoom);
+    }
+  });
+
+  return null;
+}
+
+export default CameraRig;
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { CAPTURE_SIZES, RECORDING_FORMATS, canRecordWebm, resolveCaptureSize } from './capture.js';
+import { downloadBlob } from './download.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  background: 'rgba(0, 0, 0, 0.18)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '25px',
+  cursor: 'pointer',
+  fontSize: '10px',
+  outline: 'none',
+};
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px' };
+
+const inputStyle = { width: '60px', fontSize: '10px' };
+
+const FRAME_RATES = [24, 30, 60];
+
+// --- Capture Menu ---
+// Saves a still of the current view or records a loop of the scene, at a
+// resolution independent of the window. `onScreenshot` and `onRecord` render
+// and resolve to the file's Blob; `getCanvasSize` gives the canvas's size on
+// screen for the Window option.
+function CaptureMenu({ onScreenshot, onRecord, getCanvasSize }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [size, setSize] = useState('1080p');
+  const [transparent, setTransparent] = useState(false);
+  const [duration, setDuration] = useState(5);
+  const [fps, setFps] = useState(30);
+  const [format, setFormat] = useState(() => (canRecordWebm() ? 'webm' : 'png'));
+  const [turntable, setTurntable] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+
+  const run = async (kind, task, filename) => {
+    setError(null);
+    setBusy(kind);
+    setProgress(0);
+    try {
+      downloadBlob(filename, await task());
+    } catch (captureError) {
+      console.error(captureError);
+      setError(captureError.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleScreenshot = () => {
+    const { width, height } = resolveCaptureSize(size, getCanvasSize());
+    run('screenshot', () => onScreenshot({ width, height, transparent }), `scene-${width}x${height}.png`);
+  };
+
+  const handleRecord = () => {
+    const { width, height } = resolveCaptureSize(size, getCanvasSize());
+    run(
+      'record',
+      () => onRecord({ width, height, transparent, duration, fps, format, turntable, onProgress: setProgress }),
+      `scene-${width}x${height}-${duration}s.${RECORDING_FORMATS[format].extension}`,
+    );
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        style={{ ...buttonStyle, position: 'absolute', top: '20px', right: '110px', zIndex: 1000 }}
+      >
+        CAPTURE
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '20px',
+          width: '200px',
+          zIndex: 1000,
+          padding: '10px',
+          background: 'rgba(0, 0, 0, 0.6)',
+          color: 'white',
+          borderRadius: '12px',
+          fontSize: '11px',
+        }}>
+          <label style={rowStyle}>
+            Resolution
+            <select value={size} onChange={event => setSize(event.target.value)} style={{ fontSize: '10px' }}>
+              {Object.entries(CAPTURE_SIZES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label style={rowStyle}>
+            Transparent background
+            <input type="checkbox" checked={transparent} onChange={event => setTransparent(event.target.checked)} />
+          </label>
+          <button onClick={handleScreenshot} disabled={busy !== null} style={{ ...buttonStyle, width: '100%', marginTop: '8px' }}>
+            SCREENSHOT
+          </button>
+
+          <div style={{ margin: '12px 0 2px', opacity: 0.8 }}>Loop</div>
+          <label style={rowStyle}>
+            Seconds
+            <input
+              type="number"
+              min={1}
+              max={60}
+              value={duration}
+              onChange={event => setDuration(Math.max(1, Number(event.target.value) || 1))}
+              style={inputStyle}
+            />
+          </label>
+          <label style={rowStyle}>
+            Frame rate
+            <select value={fps} onChange={event => setFps(Number(event.target.value))} style={{ fontSize: '10px' }}>
+              {FRAME_RATES.map(rate => <option key={rate} value={rate}>{rate} fps</option>)}
+            </select>
+          </label>
+          <label style={rowStyle}>
+            Format
+            <select value={format} onChange={event => setFormat(event.target.value)} style={{ fontSize: '10px' }}>
+              {Object.entries(RECORDING_FORMATS)
+                .filter(([key]) => key !== 'webm' || canRecordWebm())
+                .map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label style={rowStyle}>
+            Turntable
+            <input type="checkbox" checked={turntable} onChange={event => setTurntable(event.target.checked)} />
+          </label>
+          <button onClick={handleRecord} disabled={busy !== null} style={{ ...buttonStyle, width: '100%', marginTop: '8px' }}>
+            {busy === 'record' ? `RECORDING ${Math.round(progress * 100)}%` : 'RECORD'}
+          </button>
+
+          {error && <div style={{ marginTop: '6px', color: '#ff8a80' }}>{error}</div>}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default CaptureMenu;
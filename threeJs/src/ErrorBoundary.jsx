@@ -0,0 +1,22 @@
+import { Component } from 'react';
+
+// --- Error Boundary ---
+// Renders `fallback` (nothing by default) instead of children that threw while
+// rendering or loading, and reports the error through `onError`.
+class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError?.(error);
+  }
+
+  render() {
+    return this.state.error ? (this.props.fallback ?? null) : this.props.children;
+  }
+}
+
+export default ErrorBoundary;
@@ -0,0 +1,54 @@
+// --- Object Info Card ---
+// Shows the mesh picked in the scene; see describeObject in inspection.js.
+function InspectorCard({ info, onClose }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '70px',
+      right: '20px',
+      zIndex: 1000,
+      width: '260px',
+      padding: '14px 16px',
+      background: 'rgba(0, 0, 0, 0.6)',
+      color: 'white',
+      borderRadius: '12px',
+      fontSize: '11px',
+    }}>
+      <button
+        onClick={onClose}
+        aria-label="Close"
+        style={{
+          position: 'absolute',
+          top: '6px',
+          right: '6px',
+          padding: '2px 8px',
+          background: 'none',
+          color: 'white',
+          border: 'none',
+          cursor: 'pointer',
+          fontSize: '12px',
+          outline: 'none',
+        }}
+      >
+        ×
+      </button>
+
+      <div style={{ fontSize: '14px', marginBottom: '6px' }}>{info.title ?? info.name}</div>
+      {info.description && <p style={{ margin: '0 0 8px' }}>{info.description}</p>}
+      {info.link && (
+        <a href={info.link} target="_blank" rel="noopener noreferrer" style={{ display: 'block', marginBottom: '8px' }}>
+          {info.link}
+        </a>
+      )}
+
+      <div style={{ opacity: 0.6 }}>
+        <div>mesh: {info.name}</div>
+        <div>source: {info.path}</div>
+        <div>preset: {info.preset ?? 'original material'}</div>
+        {info.clips.length > 0 && <div>clips: {info.clips.join(', ')}</div>}
+      </div>
+    </div>
+  );
+}
+
+export default InspectorCard;
@@ -0,0 +1,137 @@
+import { useEffect, useRef } from 'react';
+import { useAssetUrl } from './assets.js';
+
+// The splash image fades in, then pulses once the room can be entered. These
+// run through the Web Animations API rather than CSS keyframes, which would
+// have to be added to the host page's global styles.
+const FADE_IN = [{ opacity: 0 }, { opacity: 1 }];
+const PULSE = [{ transform: 'scale(1)' }, { transform: 'scale(1.05)' }, { transform: 'scale(1)' }];
+
+// --- Loading Screen ---
+// The splash overlay. It shows asset progress and only lets the room be
+// entered once everything has loaded. If an asset fails it lists what broke
+// and offers a reload instead.
+function LoadingScreen({ status, active, onEnter }) {
+  const { progress, item, ready, errors, warnings } = status;
+  const failed = errors.length > 0;
+  const assetUrl = useAssetUrl();
+  const splashRef = useRef(null);
+
+  useEffect(() => {
+    const fade = splashRef.current.animate(FADE_IN, { duration: 1000, easing: 'ease-in', fill: 'forwards' });
+    return () => fade.cancel();
+  }, []);
+
+  useEffect(() => {
+    if (!ready) return;
+    const pulse = splashRef.current.animate(PULSE, { duration: 4000, iterations: Infinity });
+    return () => pulse.cancel();
+  }, [ready]);
+
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        background: 'rgba(0, 0, 0, 0.99)',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        opacity: active ? 1 : 0,
+        pointerEvents: active ? 'auto' : 'none',
+        transition: 'opacity 0.5s ease-in-out',
+        cursor: ready ? 'pointer' : 'default',
+        zIndex: 1001,
+      }}
+      onClick={ready ? onEnter : undefined}
+    >
+      <div style={{
+        width: '800px',
+        height: '800px',
+        maxWidth: '90%',
+        maxHeight: '90%',
+        position: 'relative',
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+      }}>
+        <img
+          ref={splashRef}
+          src={assetUrl('/splash.png')}
+          alt="My Little World"
+          style={{
+            width: '100%',
+            height: '100%',
+            maxWidth: '800px',
+            maxHeight: '800px',
+            objectFit: 'contain',
+            padding: '20px',
+            filter: 'drop-shadow(0 0 20px rgba(255,255,255,0.3))',
+            opacity: 0,
+          }}
+        />
+
+        <div
+          role="status"
+          style={{
+            position: 'absolute',
+            bottom: '40px',
+            width: '260px',
+            color: 'white',
+            fontSize: '10px',
+            textAlign: 'center',
+          }}
+        >
+          {!failed && (
+            <div
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={Math.round(progress * 100)}
+              style={{ height: '3px', background: 'rgba(255, 255, 255, 0.15)', borderRadius: '2px', overflow: 'hidden' }}
+            >
+              <div style={{ width: `${progress * 100}%`, height: '100%', background: 'white', transition: 'width 0.3s ease-out' }} />
+            </div>
+          )}
+
+          {!failed && (
+            <div style={{ marginTop: '10px', opacity: ready ? 1 : 0.6, letterSpacing: ready ? '0.3em' : 'normal' }}>
+              {ready ? 'CLICK TO ENTER' : `Loading${item ? ` ${item}` : ''}… ${Math.round(progress * 100)}%`}
+            </div>
+          )}
+
+          {failed && (
+            <>
+              <div style={{ marginBottom: '6px', color: '#ff8a80' }}>The room could not be loaded.</div>
+              {errors.map(error => <div key={error} style={{ opacity: 0.8 }}>{error}</div>)}
+              <button
+                onClick={() => window.location.reload()}
+                style={{
+                  marginTop: '10px',
+                  padding: '8px 15px',
+                  background: 'rgba(255, 255, 255, 0.18)',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '25px',
+                  cursor: 'pointer',
+                  fontSize: '10px',
+                  outline: 'none',
+                }}
+              >
+                RELOAD
+              </button>
+            </>
+          )}
+
+          {warnings.map(warning => <div key={warning} style={{ marginTop: '6px', opacity: 0.5 }}>{warning}</div>)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LoadingScreen;
@@ -0,0 +1,177 @@
+import { useState, useSyncExternalStore } from 'react';
+import * as THREE from 'three';
+import { downloadFile } from './download.js';
+import { useMaterialStore } from './materialStore.js';
+
+// Editable fields of a preset, in the order they appear in materials.js.
+const FIELDS = [
+  { key: 'color', type: 'color' },
+  { key: 'metalness', type: 'range', min: 0, max: 1 },
+  { key: 'roughness', type: 'range', min: 0, max: 1 },
+  { key: 'specularIntensity', type: 'range', min: 0, max: 1 },
+  { key: 'clearcoat', type: 'range', min: 0, max: 1 },
+  { key: 'clearcoatRoughness', type: 'range', min: 0, max: 1 },
+  { key: 'sheen', type: 'range', min: 0, max: 1 },
+  { key: 'envMapIntensity', type: 'range', min: 0, max: 5 },
+  { key: 'iridescence', type: 'range', min: 0, max: 1 },
+  { key: 'emissive', type: 'color' },
+  { key: 'emissiveIntensity', type: 'range', min: 0, max: 50 },
+  { key: 'transmission', type: 'range', min: 0, max: 1 },
+  { key: 'transparent', type: 'boolean' },
+  { key: 'thickness', type: 'range', min: 0, max: 5 },
+  { key: 'attenuationColor', type: 'color' },
+  { key: 'attenuationDistance', type: 'range', min: 0, max: 10 },
+  { key: 'opacity', type: 'range', min: 0, max: 1 },
+  { key: 'ior', type: 'range', min: 1, max: 2.333 },
+  { key: 'reflectivity', type: 'range', min: 0, max: 1 },
+  { key: 'iridescenceIOR', type: 'range', min: 0, max: 2.333 },
+  { key: 'side', type: 'side' },
+  { key: 'wireframe', type: 'boolean' },
+  { key: 'flatShading', type: 'boolean' },
+];
+
+const SIDES = [
+  ['FrontSide', THREE.FrontSide],
+  ['BackSide', THREE.BackSide],
+  ['DoubleSide', THREE.DoubleSide],
+];
+
+const buttonStyle = {
+  padding: '8px 15px',
+  background: 'rgba(0, 0, 0, 0.18)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '25px',
+  cursor: 'pointer',
+  fontSize: '10px',
+  outline: 'none',
+};
+
+// <input type="color"> only accepts lowercase #rrggbb.
+const toColorInput = (value) => `#${new THREE.Color(value).getHexString()}`;
+
+const FieldInput = ({ presetKey, field, value }) => {
+  const store = useMaterialStore();
+  const update = (next) => store.updatePreset(presetKey, field.key, next);
+
+  switch (field.type) {
+    case 'color':
+      return <input type="color" value={toColorInput(value)} onChange={event => update(event.target.value)} />;
+    case 'boolean':
+      return <input type="checkbox" checked={value} onChange={event => update(event.target.checked)} />;
+    case 'side':
+      return (
+        <select value={value} onChange={event => update(Number(event.target.value))}>
+          {SIDES.map(([name, side]) => <option key={name} value={side}>{name}</option>)}
+        </select>
+      );
+    default:
+      return (
+        <span style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <input
+            type="range"
+            min={field.min}
+            max={field.max}
+            step={(field.max - field.min) / 100}
+            value={value}
+            onChange={event => update(Number(event.target.value))}
+          />
+          <span style={{ width: '36px', textAlign: 'right' }}>{Number(value.toFixed(3))}</span>
+        </span>
+      );
+  }
+};
+
+// --- Material Editor Panel ---
+function MaterialEditor() {
+  const store = useMaterialStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const presets = store.getPresets();
+  const [selectedKey, setSelectedKey] = useState(Object.keys(presets)[0]);
+
+  // Re-render whenever a preset is edited or a model registers its meshes.
+  useSyncExternalStore(store.subscribe, store.getVersion);
+
+  const selected = presets[selectedKey];
+  const usage = store.getPresetUsage(selectedKey);
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        style={{ ...buttonStyle, position: 'absolute', top: '20px', right: '210px', zIndex: 1000 }}
+      >
+        MATERIALS
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '20px',
+          bottom: '80px',
+          width: '420px',
+          zIndex: 1000,
+          display: 'flex',
+          background: 'rgba(0, 0, 0, 0.6)',
+          color: 'white',
+          borderRadius: '12px',
+          fontSize: '11px',
+          overflow: 'hidden',
+        }}>
+          <ul style={{ listStyle: 'none', margin: 0, padding: '10px', overflowY: 'auto', width: '120px' }}>
+            {Object.entries(presets).map(([key, settings]) => (
+              <li
+                key={key}
+                onClick={() => setSelectedKey(key)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  padding: '4px',
+                  cursor: 'pointer',
+                  borderRadius: '4px',
+                  background: key === selectedKey ? 'rgba(255, 255, 255, 0.15)' : 'none',
+                }}
+              >
+                <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: settings.color }} />
+                {key}
+                <span style={{ marginLeft: 'auto', opacity: 0.6 }}>{store.getPresetUsage(key).length}</span>
+              </li>
+            ))}
+          </ul>
+
+          <div style={{ flex: 1, padding: '10px', overflowY: 'auto' }}>
+            <div style={{ marginBottom: '8px', opacity: 0.8 }}>
+              Used by {usage.length} mesh{usage.length === 1 ? '' : 'es'}
+              <ul style={{ margin: '4px 0', paddingLeft: '16px', maxHeight: '80px', overflowY: 'auto' }}>
+                {usage.map(({ mesh, path }) => (
+                  <li key={mesh.uuid}>{path} › {mesh.name || '(unnamed)'}</li>
+                ))}
+              </ul>
+            </div>
+
+            {FIELDS.map(field => (
+              <label key={field.key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '2px 0' }}>
+                {field.key}
+                <FieldInput presetKey={selectedKey} field={field} value={selected[field.key]} />
+              </label>
+            ))}
+
+            <div style={{ display: 'flex', gap: '6px', marginTop: '10px', flexWrap: 'wrap' }}>
+              <button style={buttonStyle} onClick={() => store.resetPreset(selectedKey)}>RESET</button>
+              <button style={buttonStyle} onClick={() => downloadFile('materials.js', store.exportPresetsModule(), 'text/javascript')}>
+                EXPORT JS
+              </button>
+              <button style={buttonStyle} onClick={() => downloadFile('materials.json', store.exportPresetsJson(), 'application/json')}>
+                EXPORT JSON
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default MaterialEditor;
@@ -0,0 +1,172 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal, useFrame, useThree } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import ScreenContent from './ScreenContent.jsx';
+import { useAssetUrl } from './assets.js';
+import { useSceneModel } from './gltf.js';
+import { matchesMesh } from './interactions.js';
+import { useSceneClock } from './sceneClock.js';
+import { SCREEN_PAINTERS, averageColor, screenFace } from './screen.js';
+
+// The screen faces the camera when the angle between them is under ~85°.
+const FACING_THRESHOLD = 0.1;
+
+// How often texture content is sampled for the lights' color (seconds).
+const COLOR_SAMPLE_INTERVAL = 0.5;
+
+// DOM content stacks by depth under this z-index, below the overlays (1000).
+const SCREEN_Z_INDEX = 100;
+
+const tempNormal = new THREE.Vector3();
+const tempDirection = new THREE.Vector3();
+
+// --- Texture Screen ---
+// Video or painted canvas content on a plane over the face. It only takes
+// clicks (a video plays or pauses) while the screen is interactive; otherwise
+// they fall through to the monitor's hotspot.
+function TextureScreen({ content, face, width, height, interactive, onColor }) {
+  const interactiveRef = useRef(interactive);
+  interactiveRef.current = interactive;
+  const sinceSample = useRef(COLOR_SAMPLE_INTERVAL);
+  const clock = useSceneClock();
+  const url = useAssetUrl();
+
+  const source = useMemo(() => {
+    if (content.type === 'video') {
+      const video = document.createElement('video');
+      Object.assign(video, { src: url(content.src), crossOrigin: 'anonymous', loop: content.loop, muted: content.muted, playsInline: true });
+      return video;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }, [content, width, height, url]);
+
+  const texture = useMemo(() => {
+    const map = source instanceof HTMLVideoElement ? new THREE.VideoTexture(source) : new THREE.CanvasTexture(source);
+    map.colorSpace = THREE.SRGBColorSpace;
+    return map;
+  }, [source]);
+
+  useEffect(() => {
+    if (source instanceof HTMLVideoElement) {
+      // Muted videos may autoplay; others wait for a click.
+      source.play().catch(() => {});
+    }
+    return () => {
+      texture.dispose();
+      if (source instanceof HTMLVideoElement) {
+        source.pause();
+        source.removeAttribute('src');
+        source.load();
+      }
+    };
+  }, [source, texture]);
+
+  useFrame((_, delta) => {
+    if (content.type === 'canvas') {
+      SCREEN_PAINTERS[content.painter](source.getContext('2d'), { width, height, time: clock.getTime() });
+      texture.needsUpdate = true;
+    }
+
+    sinceSample.current += delta;
+    if (sinceSample.current >= COLOR_SAMPLE_INTERVAL) {
+      sinceSample.current = 0;
+      const color = averageColor(source);
+      if (color) onColor(color);
+    }
+  });
+
+  const handleClick = (event) => {
+    event.stopPropagation();
+    if (source instanceof HTMLVideoElement) {
+      if (source.paused) source.play().catch(() => {});
+      else source.pause();
+    }
+  };
+
+  return (
+    <mesh
+      raycast={function raycast(raycaster, intersects) {
+        if (interactiveRef.current) THREE.Mesh.prototype.raycast.call(this, raycaster, intersects);
+      }}
+      onClick={handleClick}
+    >
+      <planeGeometry args={[face.width, face.height]} />
+      <meshBasicMaterial map={texture} toneMapped={false} />
+    </mesh>
+  );
+}
+
+// --- Monitor Screen ---
+// Lays the manifest's `screen` content over the matching mesh of one model.
+// Rendered inside that model's Suspense boundary, like its physics. Content
+// is hidden while the screen faces away or is switched off, and takes pointer
+// input only once the camera has zoomed in on it to `interactiveZoom` times
+// the fitted zoom.
+function MonitorScreen({ path, modelId, screen, isOn, viewPoint, music, onColor }) {
+  const { scene } = useSceneModel(path);
+  const camera = useThree(state => state.camera);
+  const [target, setTarget] = useState(null);
+  const [view, setView] = useState({ facing: true, interactive: false });
+
+  // Material presets (which `match` may name) are applied in an effect of the
+  // model, so the mesh is looked up in one too.
+  useEffect(() => {
+    let mesh = null;
+    scene.traverse((object) => {
+      if (!mesh && object.isMesh && matchesMesh(screen.match, object, modelId)) mesh = object;
+    });
+    if (!mesh) {
+      console.warn(`[screen] nothing in ${path} matches ${JSON.stringify(screen.match)}`);
+      return;
+    }
+    setTarget({ mesh, face: screenFace(mesh, new THREE.Vector3(...viewPoint)) });
+  }, [scene, modelId, screen, path, viewPoint]);
+
+  useFrame(() => {
+    if (!target) return;
+    const normal = tempNormal.set(0, 0, 1).applyQuaternion(target.face.quaternion).transformDirection(target.mesh.matrixWorld);
+    const facing = normal.dot(camera.getWorldDirection(tempDirection)) < -FACING_THRESHOLD;
+    const interactive = facing && camera.zoom >= (camera.userData.fitZoom ?? camera.zoom) * screen.interactiveZoom;
+    if (facing !== view.facing || interactive !== view.interactive) setView({ facing, interactive });
+  });
+
+  if (!target) return null;
+
+  const { face } = target;
+  const { content } = screen;
+  const width = Math.round(screen.width);
+  const height = Math.round(screen.width * face.height / face.width);
+  const shown = isOn && view.facing;
+
+  return createPortal(
+    <group position={face.position} quaternion={face.quaternion}>
+      {content.type === 'html' || content.type === 'iframe' ? (
+        <Html
+          transform
+          // One CSS pixel is distanceFactor / 400 units, so `width` pixels span the face.
+          distanceFactor={(400 * face.width) / width}
+          zIndexRange={[SCREEN_Z_INDEX, 0]}
+          pointerEvents={view.interactive ? 'auto' : 'none'}
+          style={{ width: `${width}px`, height: `${height}px`, overflow: 'hidden', display: shown ? 'block' : 'none' }}
+        >
+          {content.type === 'html' ? (
+            <ScreenContent component={content.component} width={width} height={height} music={music} onColor={onColor} />
+          ) : (
+            <iframe src={content.src} title="Screen" style={{ width: '100%', height: '100%', border: 'none', background: 'white' }} />
+          )}
+        </Html>
+      ) : (
+        <group visible={shown}>
+          <TextureScreen content={content} face={face} width={width} height={height} interactive={view.interactive} onColor={onColor} />
+        </group>
+      )}
+    </group>,
+    target.mesh,
+  );
+}
+
+export default MonitorScreen;
@@ -0,0 +1,71 @@
+const buttonStyle = {
+  padding: '10px 14px',
+  background: 'rgba(0, 0, 0, 0.18)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '25px',
+  cursor: 'pointer',
+  fontSize: '10px',
+  outline: 'none',
+};
+
+const STATUS_LABELS = {
+  loading: 'loading…',
+  error: 'unavailable',
+};
+
+// --- Music Player Controls ---
+// `music` is the object returned by useAudioPlayer.
+function MusicControls({ music }) {
+  const { state } = music;
+  const isPlaying = state.status === 'playing';
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      right: '20px',
+      zIndex: 1000,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-end',
+      gap: '8px',
+      color: 'white',
+      fontSize: '10px',
+    }}>
+      {state.track && (
+        <div style={{ opacity: 0.8 }}>
+          {state.track.title ?? state.track.src ?? state.track.videoId}
+          {STATUS_LABELS[state.status] && ` — ${STATUS_LABELS[state.status]}`}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.01}
+          value={state.volume}
+          onChange={event => music.setVolume(Number(event.target.value))}
+          aria-label="Volume"
+          style={{ width: '70px' }}
+        />
+        <button
+          onClick={() => music.setShuffle(!state.shuffle)}
+          style={{ ...buttonStyle, opacity: state.shuffle ? 1 : 0.5 }}
+          aria-pressed={state.shuffle}
+        >
+          S H U F F L E
+        </button>
+        <button onClick={music.previous} style={buttonStyle} aria-label="Previous track">‹</button>
+        <button onClick={music.toggle} style={{ ...buttonStyle, padding: '10px 20px' }}>
+          {isPlaying ? 'P A U S E' : 'P L A Y'}
+        </button>
+        <button onClick={music.next} style={buttonStyle} aria-label="Next track">›</button>
+      </div>
+    </div>
+  );
+}
+
+export default MusicControls;
@@ -0,0 +1,23 @@
+import { EffectComposer, Outline } from '@react-three/postprocessing';
+import { effectTypes, isEffectActive } from './effects.js';
+import { QUALITY_PRESETS } from './quality.js';
+
+// --- Post Processing ---
+// Runs the manifest's effects in the order they are listed, skipping those
+// outside the current quality level or dropped by the performance governor.
+// The hover/selection outline always renders last. `ref` receives the
+// composer, which screen captures render through.
+function PostProcessing({ config, quality, skipEffects, outlined, ref }) {
+  return (
+    <EffectComposer ref={ref} multisampling={QUALITY_PRESETS[quality].multisampling}>
+      {config.effects.map((effect, index) => {
+        if (!isEffectActive(effect, quality, skipEffects)) return null;
+        const { component: Effect, toProps } = effectTypes[effect.type];
+        return <Effect key={`${effect.type}-${index}`} {...(toProps ? toProps(effect.settings) : effect.settings)} />;
+      })}
+      <Outline selection={outlined} edgeStrength={4} visibleEdgeColor={0xffffff} hiddenEdgeColor={0xffffff} blur />
+    </EffectComposer>
+  );
+}
+
+export default PostProcessing;
@@ -0,0 +1,211 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Physics, useCompoundBody, useConvexPolyhedron } from '@react-three/cannon';
+import * as THREE from 'three';
+import { useSceneModel } from './gltf.js';
+import { matchesMesh } from './interactions.js';
+import { colliderShapes, matrixInModel, propBody, registerProp } from './physics.js';
+import { useSceneClock } from './sceneClock.js';
+
+// How hard a dragged prop is pulled toward the pointer (1/s), and the speed it
+// may reach doing so; a flick releases it at that speed at most.
+const DRAG_STIFFNESS = 12;
+const MAX_DRAG_SPEED = 4;
+
+const PROP_DAMPING = { linearDamping: 0.1, angularDamping: 0.3 };
+
+// The world advances in fixed steps of this length, as many as the scene
+// clock's delta covers (at most MAX_SUB_STEPS per frame).
+const STEP_SIZE = 1 / 60;
+const MAX_SUB_STEPS = 10;
+
+const tempMatrix = new THREE.Matrix4();
+const tempBody = new THREE.Matrix4();
+const tempVector = new THREE.Vector3();
+const tempQuaternion = new THREE.Quaternion();
+const UNIT_SCALE = new THREE.Vector3(1, 1, 1);
+
+// --- Static Collider ---
+// Boxes built from a static mesh; the body has no visual of its own.
+function StaticCollider({ mesh, root, shape }) {
+  useCompoundBody(() => ({ type: 'Static', shapes: colliderShapes(mesh, root, shape) }), undefined, [mesh, root, shape]);
+  return null;
+}
+
+// --- Physics Prop ---
+// Simulates one GLB mesh. The mesh stays in its place in the GLB hierarchy
+// and is moved onto its body every frame, once the worker has reported where
+// the body is; pointer-down on it (through `grabProp`) pulls it around until
+// the pointer is released.
+function PhysicsProp({ mesh, root, mass, resetRequest }) {
+  const camera = useThree(state => state.camera);
+  const gl = useThree(state => state.gl);
+  const controls = useThree(state => state.controls);
+  const rest = useRef(null);
+  const position = useRef(null);
+  const quaternion = useRef(null);
+  const drag = useRef(null);
+
+  const [, api] = useConvexPolyhedron(() => {
+    rest.current = propBody(mesh, root);
+    return { mass, args: rest.current.args, position: rest.current.position, ...PROP_DAMPING };
+  }, undefined, [mesh, root, mass]);
+
+  // The worker reports these on every step, asleep or not, whereas the body's
+  // own matrix is only written while something in the world is awake.
+  useEffect(() => api.position.subscribe((value) => {
+    position.current = value;
+  }), [api]);
+  useEffect(() => api.quaternion.subscribe((value) => {
+    quaternion.current = value;
+  }), [api]);
+
+  // Puts the mesh back where it was authored when the prop goes away.
+  useEffect(() => {
+    const authored = { position: mesh.position.clone(), quaternion: mesh.quaternion.clone(), scale: mesh.scale.clone() };
+    return () => {
+      mesh.position.copy(authored.position);
+      mesh.quaternion.copy(authored.quaternion);
+      mesh.scale.copy(authored.scale);
+    };
+  }, [mesh]);
+
+  // Starts (and resets to) the authored layout, asleep, so nothing moves
+  // until it is touched.
+  useEffect(() => {
+    drag.current?.release();
+    api.position.set(...rest.current.position);
+    api.quaternion.set(0, 0, 0, 1);
+    api.velocity.set(0, 0, 0);
+    api.angularVelocity.set(0, 0, 0);
+    api.sleep();
+  }, [api, resetRequest]);
+
+  useEffect(() => registerProp(mesh, (event) => {
+    // Drags in the plane facing the camera through the grabbed point, in the
+    // frame the room is placed in.
+    const toRoom = new THREE.Matrix4().copy(root.parent.matrixWorld).invert();
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(camera.getWorldDirection(new THREE.Vector3()), event.point);
+    const grabOffset = event.point.clone().applyMatrix4(toRoom).sub(new THREE.Vector3(...(position.current ?? rest.current.position)));
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const target = new THREE.Vector3();
+
+    const handleMove = (moveEvent) => {
+      const rect = gl.domElement.getBoundingClientRect();
+      pointer.set(((moveEvent.clientX - rect.left) / rect.width) * 2 - 1, -((moveEvent.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointer, camera);
+      if (raycaster.ray.intersectPlane(plane, target)) {
+        drag.current.target = target.clone().applyMatrix4(toRoom).sub(grabOffset);
+      }
+    };
+
+    const release = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', release);
+      if (controls) controls.enabled = true;
+      gl.domElement.style.cursor = '';
+      drag.current = null;
+    };
+
+    drag.current?.release();
+    drag.current = { target: null, release };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', release);
+    if (controls) controls.enabled = false;
+    gl.domElement.style.cursor = 'grabbing';
+    api.wakeUp();
+  }), [mesh, root, camera, gl, controls, api]);
+
+  useEffect(() => () => drag.current?.release(), []);
+
+  useFrame(() => {
+    // Until the first step (or while the clock starts paused) the mesh stays
+    // where it was authored.
+    if (!rest.current || !position.current || !quaternion.current) return;
+
+    // Chases the pointer by velocity rather than teleporting, so the prop
+    // still collides on the way and keeps its speed when let go.
+    if (drag.current?.target && position.current) {
+      const velocity = tempVector.fromArray(position.current).negate().add(drag.current.target)
+        .multiplyScalar(DRAG_STIFFNESS)
+        .clampLength(0, MAX_DRAG_SPEED);
+      api.velocity.set(velocity.x, velocity.y, velocity.z);
+    }
+
+    // mesh (in its parent) = parent-in-room⁻¹ · body · rest offset
+    tempBody.compose(tempVector.fromArray(position.current), tempQuaternion.fromArray(quaternion.current), UNIT_SCALE);
+    matrixInModel(mesh.parent, root, tempMatrix).invert().multiply(tempBody).multiply(rest.current.offset);
+    tempMatrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+  });
+
+  return null;
+}
+
+// --- Model Physics ---
+// The colliders and props of one model, from the manifest's `physics`
+// section. Rendered next to the model inside its Suspense boundary, so it only
+// mounts once the GLB has loaded.
+export function ModelPhysics({ path, modelId, physics, resetRequest }) {
+  const { scene } = useSceneModel(path);
+
+  const matched = useMemo(() => {
+    const meshes = [];
+    scene.traverse((object) => {
+      if (object.isMesh) meshes.push(object);
+    });
+    const match = (entries) => entries
+      .filter(entry => entry.match.model === modelId)
+      .map(entry => ({ entry, meshes: meshes.filter(mesh => matchesMesh(entry.match, mesh, modelId)) }));
+    return { colliders: match(physics.colliders), props: match(physics.props) };
+  }, [scene, modelId, physics]);
+
+  // Mesh names can only be checked once the GLB has loaded.
+  useEffect(() => {
+    [...matched.colliders, ...matched.props].filter(({ meshes }) => meshes.length === 0).forEach(({ entry }) => {
+      console.warn(`[physics] nothing in ${path} matches ${JSON.stringify(entry.match)}`);
+    });
+  }, [matched, path]);
+
+  return (
+    <>
+      {matched.colliders.flatMap(({ entry, meshes }) => meshes.map(mesh => (
+        <StaticCollider key={mesh.uuid} mesh={mesh} root={scene} shape={entry.shape} />
+      )))}
+      {matched.props.flatMap(({ entry, meshes }) => meshes.map(mesh => (
+        <PhysicsProp key={mesh.uuid} mesh={mesh} root={scene} mass={entry.mass} resetRequest={resetRequest} />
+      )))}
+    </>
+  );
+}
+
+// --- Clocked Physics ---
+// cannon's provider steps its worker on the raw frame delta, so it is kept
+// paused and the worker is stepped here on the scene clock's delta instead:
+// the world pauses, slows down and takes fixed steps with every other
+// animation. The provider is a plain function component, called directly to
+// reach the worker in the context value it renders.
+function ClockedPhysics({ gravity, children }) {
+  const provider = Physics({ gravity, broadphase: 'SAP', allowSleep: true, isPaused: true, children });
+  const { worker } = provider.props.value;
+  const clock = useSceneClock();
+
+  // Registered after the provider's loop and the bodies' frames, like it.
+  useFrame(() => {
+    const delta = clock.getDelta();
+    if (delta > 0) worker.step({ stepSize: STEP_SIZE, maxSubSteps: MAX_SUB_STEPS, timeSinceLastCalled: delta });
+  });
+
+  return provider;
+}
+
+// --- Room Physics ---
+// The cannon world for the models in the swaying room group, stepped in a web
+// worker on the scene clock. Without a `physics` section the children render
+// as they are.
+function RoomPhysics({ config, children }) {
+  if (!config) return children;
+  return <ClockedPhysics gravity={config.gravity}>{children}</ClockedPhysics>;
+}
+
+export default RoomPhysics;
@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react';
+
+// The React panels a `screen` with `"type": "html"` can show, by name (see
+// SCREEN_COMPONENTS in screen.js). Each fills the `width` × `height` CSS pixels
+// it is given and reports the color it mostly shows through `onColor`, which
+// the screen's lights take on.
+
+const panelStyle = (width, height, background) => ({
+  width: `${width}px`,
+  height: `${height}px`,
+  boxSizing: 'border-box',
+  display: 'flex',
+  flexDirection: 'column',
+  justifyContent: 'center',
+  alignItems: 'center',
+  background,
+  color: 'white',
+  fontFamily: 'system-ui, sans-serif',
+  userSelect: 'none',
+});
+
+const buttonStyle = {
+  padding: '16px 28px',
+  background: 'rgba(0, 0, 0, 0.18)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '40px',
+  cursor: 'pointer',
+  fontSize: '28px',
+  outline: 'none',
+};
+
+// A hue that stays the same for a given string, so every track gets its own.
+const stringHue = (text) => [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 360, 0);
+
+// --- Clock ---
+// The local time, over a sky that darkens from noon to midnight.
+function ClockPanel({ width, height, onColor }) {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const hour = now.getHours();
+  const background = `hsl(210, 45%, ${Math.round(15 + 30 * (1 - Math.abs(hour - 12) / 12))}%)`;
+
+  useEffect(() => {
+    onColor(background);
+  }, [background, onColor]);
+
+  return (
+    <div style={panelStyle(width, height, background)}>
+      <div style={{ fontSize: `${Math.round(height * 0.35)}px`, fontWeight: 200, letterSpacing: '0.05em' }}>
+        {now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+      </div>
+      <div style={{ fontSize: `${Math.round(height * 0.07)}px`, opacity: 0.7 }}>
+        {now.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' })}
+      </div>
+    </div>
+  );
+}
+
+// --- Now Playing ---
+// The room's music: the current track with its own color, and the transport.
+function NowPlayingPanel({ width, height, music, onColor }) {
+  const { state } = music;
+  const title = state.track ? state.track.title ?? state.track.src ?? state.track.videoId : null;
+  const background = title ? `hsl(${stringHue(title)}, 40%, 30%)` : 'hsl(210, 10%, 15%)';
+
+  useEffect(() => {
+    onColor(background);
+  }, [background, onColor]);
+
+  return (
+    <div style={panelStyle(width, height, background)}>
+      <div style={{ fontSize: `${Math.round(height * 0.05)}px`, letterSpacing: '0.3em', opacity: 0.6 }}>
+        {state.status === 'playing' ? 'NOW PLAYING' : 'PAUSED'}
+      </div>
+      <div style={{ margin: `${Math.round(height * 0.04)}px 0`, fontSize: `${Math.round(height * 0.12)}px`, textAlign: 'center' }}>
+        {title ?? 'No music'}
+      </div>
+      {title && (
+        <div style={{ display: 'flex', gap: '16px' }}>
+          <button onClick={music.previous} style={buttonStyle}>PREV</button>
+          <button onClick={music.toggle} style={buttonStyle}>{state.status === 'playing' ? 'PAUSE' : 'PLAY'}</button>
+          <button onClick={music.next} style={buttonStyle}>NEXT</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const PANELS = {
+  clock: ClockPanel,
+  nowPlaying: NowPlayingPanel,
+};
+
+// --- Screen Content ---
+function ScreenContent({ component, ...props }) {
+  const Panel = PANELS[component];
+  return Panel ? <Panel {...props} /> : null;
+}
+
+export default ScreenContent;
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { isEffectActive } from './effects.js';
+import { QUALITY_LEVELS, QUALITY_PRESETS } from './quality.js';
+
+const buttonStyle = {
+  padding: '8px 15px',
+  background: 'rgba(0, 0, 0, 0.18)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '25px',
+  cursor: 'pointer',
+  fontSize: '10px',
+  outline: 'none',
+};
+
+// --- Settings Menu ---
+// Picks the rendering quality, turns the performance governor and the stats
+// overlay on and off, and lists the post-processing effects that run.
+function SettingsMenu({
+  quality,
+  onQualityChange,
+  autoQuality,
+  onAutoQualityChange,
+  tier,
+  isStatsVisible,
+  onStatsVisibleChange,
+  postprocessing,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const activeEffects = postprocessing.effects.filter(effect => isEffectActive(effect, quality, tier.dropEffects));
+
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        style={{ ...buttonStyle, position: 'absolute', top: '20px', right: '20px', zIndex: 1000 }}
+      >
+        SETTINGS
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '20px',
+          width: '200px',
+          zIndex: 1000,
+          padding: '10px',
+          background: 'rgba(0, 0, 0, 0.6)',
+          color: 'white',
+          borderRadius: '12px',
+          fontSize: '11px',
+        }}>
+          <div style={{ marginBottom: '6px', opacity: 0.8 }}>Quality</div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            {QUALITY_LEVELS.map(level => (
+              <button
+                key={level}
+                onClick={() => onQualityChange(level)}
+                style={{ ...buttonStyle, background: level === quality ? 'rgba(255, 255, 255, 0.25)' : buttonStyle.background }}
+              >
+                {QUALITY_PRESETS[level].label}
+              </button>
+            ))}
+          </div>
+
+          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px' }}>
+            Adapt to frame rate
+            <input type="checkbox" checked={autoQuality} onChange={event => onAutoQualityChange(event.target.checked)} />
+          </label>
+          {autoQuality && <div style={{ opacity: 0.6 }}>Currently: {tier.name}</div>}
+
+          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px' }}>
+            Show stats
+            <input type="checkbox" checked={isStatsVisible} onChange={event => onStatsVisibleChange(event.target.checked)} />
+          </label>
+
+          <div style={{ margin: '10px 0 4px', opacity: 0.8 }}>Effects</div>
+          <ul style={{ margin: 0, paddingLeft: '16px' }}>
+            {activeEffects.length === 0 && <li style={{ opacity: 0.6 }}>none</li>}
+            {activeEffects.map((effect, index) => (
+              <li key={`${effect.type}-${index}`}>{effect.type}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default SettingsMenu;
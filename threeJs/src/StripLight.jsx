@@ -0,0 +1,47 @@
+import { useMemo } from 'react';
+
+// Default gap between the point lights standing in for a strip.
+const LIGHT_SPACING = 0.3;
+
+// --- Strip Light ---
+// A line of light along z from `start` to `end` at `position` ([x, y]), drawn
+// by `lights` point lights spread from end to end (by default one every
+// LIGHT_SPACING units). `intensity` is per `step` of length, as when there was
+// a light every `step`. Below 1, `density` leaves that share of the lights lit
+// (brighter, so the total holds) and the rest dark; all stay mounted, so
+// shaders don't recompile when it changes.
+const StripLight = ({
+  start = -0.1,
+  end = 2,
+  step = 0.1,
+  position = [1.15, 1.7],
+  color = '#ffa500',
+  intensity = 0.2,
+  lights,
+  density = 1,
+}) => {
+  const length = Math.abs(end - start);
+  const count = Math.max(2, Math.round(lights ?? length / LIGHT_SPACING + 1));
+  const lit = Math.max(1, Math.round(count * density));
+  const totalIntensity = intensity * (Math.ceil(length / step) + 1);
+
+  const points = useMemo(
+    () => Array.from({ length: count }, (_, i) => start + (i / (count - 1)) * (end - start)),
+    [start, end, count],
+  );
+  // The lit ones sit at the centers of `lit` equal sections of the row.
+  const litIndices = useMemo(
+    () => new Set(Array.from({ length: lit }, (_, k) => Math.round(((k + 0.5) / lit) * count - 0.5))),
+    [count, lit],
+  );
+
+  return (
+    <>
+      {points.map((z, index) => (
+        <pointLight key={index} position={[...position, z]} intensity={litIndices.has(index) ? totalIntensity / lit : 0} color={color} />
+      ))}
+    </>
+  );
+};
+
+export default StripLight;
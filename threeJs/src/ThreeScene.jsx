@@ -1,226 +1,430 @@
-import React, { useEffect, useRef, useState, useMemo } from 'react';
-import { Canvas, useThree, useFrame } from '@react-three/fiber';
-import { Environment, OrbitControls, OrthographicCamera, useGLTF } from '@react-three/drei';
-import { EffectComposer, HueSaturation, BrightnessContrast, Bloom } from '@react-three/postprocessing';
+import { Suspense, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { Environment, OrbitControls, OrthographicCamera, useHelper } from '@react-three/drei';
 import { RectAreaLightHelper } from 'three/examples/jsm/helpers/RectAreaLightHelper';
 import * as THREE from 'three';
-import materials from './materials.js';
+import AnimationControls from './AnimationControls.jsx';
+import CameraRig, { BASE_ZOOM } from './CameraRig.jsx';
+import CaptureMenu from './CaptureMenu.jsx';
+import ErrorBoundary from './ErrorBoundary.jsx';
+import InspectorCard from './InspectorCard.jsx';
+import LoadingScreen from './LoadingScreen.jsx';
+import MaterialEditor from './MaterialEditor.jsx';
+import MusicControls from './MusicControls.jsx';
+import PostProcessing from './PostProcessing.jsx';
+import RoomPhysics, { ModelPhysics } from './RoomPhysics.jsx';
+import MonitorScreen from './MonitorScreen.jsx';
+import SettingsMenu from './SettingsMenu.jsx';
+import StripLight from './StripLight.jsx';
+import TimeOfDayControls from './TimeOfDayControls.jsx';
+import WeatherControls from './WeatherControls.jsx';
+import WeatherEffects from './WeatherEffects.jsx';
+import { ROOM_SWAY, useAnimation } from './animations.js';
+import { AssetBaseContext, useAssetUrl } from './assets.js';
+import { useAudioPlayer } from './audioPlayer.js';
+import { captureScreenshot, recordLoop, waitForFrames } from './capture.js';
+import { useClips } from './clips.js';
+import { ModelCopiesContext, logModelReport, useSceneModel } from './gltf.js';
+import { describeObject } from './inspection.js';
+import { findHotspot, hotspotActions, initialSwitches } from './interactions.js';
+import { useLoadingStatus } from './loading.js';
+import { MaterialStoreContext, createMaterialStore, disposeMaterial, isPresetMaterial, useMaterialStore } from './materialStore.js';
+import { logMaterialReport, resolveSceneMaterials } from './materialResolver.js';
+import { resolveUi } from './panels.js';
+import { grabProp } from './physics.js';
+import { DEFAULT_SCENE, validateSceneManifest } from './sceneManifest.js';
+import { loadSceneManifest } from './scenes.js';
+import { PERFORMANCE_TIERS, usePerformanceGovernor, useTransmission } from './performance.js';
+import { QUALITY_PRESETS, resolveDpr, useQuality, useStoredSetting } from './quality.js';
+import { useSceneStats } from './sceneStats.js';
+import { screenLightColor } from './screen.js';
+import { sunPosition, useTimeOfDay } from './timeOfDay.js';
+import { useWeather, useWeatherAmbience } from './weather.js';
+import { SceneClockContext, createSceneClock, useSceneClock, useSceneClockDriver } from './sceneClock.js';
 
 // --- Utility Functions & Hooks ---
 
-const useMaterialUpdater = (scene) => {
-  useEffect(() => {
-    if (!scene) return;
+// The scene manifest stores rotations in degrees so artists can type them by hand.
+const toRadians = (rotation = [0, 0, 0]) => rotation.map(THREE.MathUtils.degToRad);
+
+// A manifest object passed in is validated like the bundled ones; otherwise
+// `scene` names one of those.
+const readSceneManifest = (scene = DEFAULT_SCENE, manifest) => {
+  try {
+    return { manifest: manifest ? validateSceneManifest(manifest) : loadSceneManifest(scene) };
+  } catch (error) {
+    console.error(error);
+    return { error };
+  }
+};
 
-    scene.traverse(child => {
-      if (child.isMesh && child.material && child.material.color) {
-        const hex = child.material.color.getHexString();
-        if (materials[hex]) {
-          const settings = materials[hex];
-
-          const newMaterial = new THREE.MeshPhysicalMaterial({
-            color: new THREE.Color(settings.color),
-            metalness: settings.metalness,
-            roughness: settings.roughness,
-            specularIntensity: settings.specularIntensity,
-            clearcoat: settings.clearcoat,
-            clearcoatRoughness: settings.clearcoatRoughness,
-            sheen: settings.sheen,
-            envMapIntensity: settings.envMapIntensity || 1,
-            iridescence: settings.iridescence,
-            emissive: new THREE.Color(settings.emissive),
-            emissiveIntensity: settings.emissiveIntensity,
-            transmission: settings.transmission,
-            transparent: settings.transparent,
-            thickness: settings.thickness,
-            attenuationColor: new THREE.Color(settings.attenuationColor),
-            attenuationDistance: settings.attenuationDistance,
-            opacity: settings.opacity,
-            ior: settings.ior,
-            reflectivity: settings.reflectivity,
-            iridescenceIOR: settings.iridescenceIOR,
-            side: settings.side,
-            wireframe: settings.wireframe,
-            flatShading: settings.flatShading,
-          });
-
-          child.material = newMaterial;
-          child.material.needsUpdate = true;
-        }
-      }
-    });
-  }, [scene]);
+// Pixels the pointer may move between press and release for it to count as a
+// click rather than a drag. Fingers wobble more than a mouse.
+const CLICK_DRAG_THRESHOLD = { mouse: 4, touch: 12 };
+
+// Touch screens (phones, tablets): the coarse pointer media query, read once.
+const isCoarsePointer = () => window.matchMedia('(pointer: coarse)').matches;
+
+// OrbitControls on touch: one finger orbits, two pinch to zoom and pan. A
+// finger sweeps across a small screen quickly, so orbiting is slowed down, and
+// a pinch zooms toward the fingers rather than the middle of the canvas.
+const TOUCH_CONTROLS = {
+  touches: { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN },
+  rotateSpeed: 0.6,
+  zoomToCursor: true,
 };
 
-const useOrthographicCameraResize = () => {
-  const { camera, gl } = useThree();
+// `initialView` opens on a camera view other than the manifest's default.
+const initialCameraView = (camera, initialView) => ({
+  name: camera?.views.some(view => view.name === initialView) ? initialView : camera?.defaultView,
+});
+
+const useMaterialUpdater = (scene, path, debug) => {
+  const { getPresetMaterial, registerPresetMeshes } = useMaterialStore();
+
   useEffect(() => {
-    if (!camera.isOrthographicCamera) return;
+    if (!scene) return;
 
-    const handleResize = () => {
-      const zoomFactor = window.innerWidth / 1920; // Adjust zoom based on a baseline width (e.g., 1920px)
-      camera.zoom = 100 * zoomFactor; // Baseline zoom
+    const report = resolveSceneMaterials(scene, path);
+
+    report.matched.forEach(({ mesh, rule }) => {
+      // The scene keeps its copy of the model across remounts, so the mesh may
+      // already hold a (possibly disposed) preset material from last time.
+      if (!isPresetMaterial(mesh.material)) {
+        disposeMaterial(mesh.material);
+      }
+      mesh.material = getPresetMaterial(rule.preset);
+    });
 
-      camera.left = -window.innerWidth / 2;
-      camera.right = window.innerWidth / 2;
-      camera.top = window.innerHeight / 2;
-      camera.bottom = -window.innerHeight / 2;
+    if (debug) {
+      logMaterialReport(report);
+    }
 
-      camera.updateProjectionMatrix();
-      gl.setSize(window.innerWidth, window.innerHeight);
-    };
+    return registerPresetMeshes(path, report.matched.map(({ mesh, rule }) => ({ mesh, preset: rule.preset })));
+  }, [scene, path, debug, getPresetMaterial, registerPresetMeshes]);
+};
 
-    handleResize(); // Initial resize
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, [camera, gl]);
+// Bounds of everything under `group`, in the group's own frame, so the sway
+// it happens to be at doesn't move them.
+const measureRoomBounds = (group) => {
+  const bounds = new THREE.Box3();
+  const toRoom = new THREE.Matrix4().copy(group.matrixWorld).invert();
+  const meshBounds = new THREE.Box3();
+  const matrix = new THREE.Matrix4();
+  group.updateWorldMatrix(true, true);
+  group.traverse((object) => {
+    if (!object.isMesh) return;
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+    bounds.union(meshBounds.copy(object.geometry.boundingBox).applyMatrix4(matrix.multiplyMatrices(toRoom, object.matrixWorld)));
+  });
+  return bounds.isEmpty() ? null : bounds;
 };
 
 // --- Scene Container with Global Sway Animation ---
-function SceneContainer({ children }) {
+// Measures the room once every model has loaded or failed, for the camera to
+// fit.
+function SceneContainer({ settled, onMeasure, children }) {
   const groupRef = useRef();
-  
-  // Set duration for one complete cycle (in seconds)
-  const horizontalDuration = 5; // Horizontal sway completes in 5s
-  const verticalDuration = 8;   // Vertical sway completes in 8s
-  const rotationDuration = 5;  // Rotation completes in 10s
-
-  useFrame(({ clock }) => {
-    if (groupRef.current) {
-      const time = clock.getElapsedTime();
-      
-      // Horizontal motion (one full sine cycle every horizontalDuration)
-      groupRef.current.position.x = Math.sin(time * (2 * Math.PI / horizontalDuration)) * 0.25;
-      
-      // Vertical motion (one full sine cycle every verticalDuration)
-      groupRef.current.position.y = Math.sin(time * (2 * Math.PI / verticalDuration)) * 0.15;
-      
-      // Rotation (one full sine cycle every rotationDuration)
-      groupRef.current.rotation.z = Math.sin(time * (2 * Math.PI / rotationDuration)) * 0.025;
-    }
-  });
-  
+  useAnimation(groupRef, ROOM_SWAY);
+
+  useEffect(() => {
+    if (settled) onMeasure(measureRoomBounds(groupRef.current));
+  }, [settled, onMeasure]);
+
   return <group ref={groupRef}>{children}</group>;
 }
 
-// --- Camera Position Controller ---
-function CameraController() {
-  const { camera } = useThree();
-  
+// --- Scene Stats Reporter ---
+// Lifts the in-canvas stats out to the DOM overlay.
+function StatsReporter({ onChange }) {
+  const stats = useSceneStats();
   useEffect(() => {
-    // Set the initial camera position
-    camera.position.set(5, 5, -3);
-    camera.lookAt(2, 2, 0); // Look at the center of the scene
-    camera.updateProjectionMatrix();
-  }, [camera]);
-  
+    onChange(stats);
+  }, [stats, onChange]);
   return null;
 }
 
-// --- Camera Resize Handler Component ---
-function ResizeHandler() {
-  useOrthographicCameraResize();
-  return null; // This component doesn't render anything
+// --- Scene Clock Driver ---
+function SceneClockDriver() {
+  useSceneClockDriver();
+  return null;
 }
 
-const useFanAnimation = (fanRef) => {
-  useFrame(({ clock }) => {
-    if (fanRef.current) {
-      fanRef.current.rotation.y = Math.sin(clock.getElapsedTime() * 1) * (Math.PI / 4);
-    }
-  });
-};
-
-const useCeilingAnimation = (ceilingRef) => {
-  useFrame(({ clock }) => {
-    if (ceilingRef.current) {
-      ceilingRef.current.rotation.y = clock.getElapsedTime() * -10;
-    }
-  });
-};
-
-const useCloudAnimation = (cloudRef) => {
-  useFrame(({ clock }) => {
-    if (cloudRef.current) {
-      cloudRef.current.position.z = Math.sin(clock.getElapsedTime() * 0.15) * 20;
-    }
+// --- Scene Ready Marker ---
+// Mounts with the models (it shares their Suspense boundary) and calls
+// `onReady` a few frames later, once the camera view and animations have been
+// applied.
+const READY_AFTER_FRAMES = 3;
+
+function SceneReadyMarker({ onReady }) {
+  const frames = useRef(0);
+  useFrame(() => {
+    frames.current += 1;
+    if (frames.current === READY_AFTER_FRAMES) onReady();
   });
-};
+  return null;
+}
 
-const useBirdAnimation = (birdRef, initialPosition, swayMagnitude) => {
-  useFrame(({ clock }) => {
-    if (birdRef.current && initialPosition) {
-      const time = clock.getElapsedTime();
-      birdRef.current.position.x = initialPosition[0] + Math.sin(time * 0.5) * swayMagnitude;
-      birdRef.current.position.y = initialPosition[1] + Math.cos(time * 0.8) * swayMagnitude * 0.4;
-      birdRef.current.position.z = initialPosition[2] + Math.sin(time * 0.5) * swayMagnitude * 0.2;
-    }
-  });
-};
+// --- Capture Bridge ---
+// Hands the canvas state getter to the capture menu outside the Canvas.
+function CaptureBridge({ stateRef }) {
+  const get = useThree(state => state.get);
+  useEffect(() => {
+    stateRef.current = get;
+  }, [get, stateRef]);
+  return null;
+}
 
+// --- Performance Governor ---
+function PerformanceGovernor(props) {
+  usePerformanceGovernor(props);
+  return null;
+}
 
 // --- Reusable Model Component ---
-const Model = ({ path, onMeshClick, animation, ...props }) => {
-  const { scene } = useGLTF(path);
+const Model = ({
+  path,
+  modelId,
+  onMeshClick,
+  onMeshHover,
+  onMeshPointerDown,
+  inspectable = true,
+  animation,
+  animationActive = true,
+  clips,
+  clipRequest,
+  debugMaterials,
+  onLoad,
+  ...props
+}) => {
+  const { scene, animations } = useSceneModel(path);
   const modelRef = useRef();
 
-  useMaterialUpdater(scene);
+  useMaterialUpdater(scene, path, debugMaterials);
 
-  // Apply animation hook if provided
-  if (animation) {
-    animation(modelRef);
-  }
+  useEffect(() => {
+    onLoad?.(modelId);
+  }, [onLoad, modelId]);
+
+  // `animation` is a list of tracks; see animations.js. Clips authored in the
+  // GLB play on top; see clips.js.
+  useAnimation(modelRef, animation, { active: animationActive });
+  const clipNames = useClips(scene, animations, { ...clips, request: clipRequest, active: animationActive, path });
+
+  // Handlers receive the GLB path, manifest id and clip names so clicks can be
+  // matched to hotspots and the info card can show where a mesh came from.
+  const pointerHandlers = inspectable ? {
+    onClick: (event) => onMeshClick?.(event, path, modelId, clipNames),
+    onPointerDown: (event) => onMeshPointerDown?.(event),
+    onPointerOver: (event) => onMeshHover?.(event, path),
+    onPointerOut: (event) => onMeshHover?.(event, null),
+  } : {};
+
+  return <primitive ref={modelRef} object={scene} {...props} {...pointerHandlers} dispose={null} />;
+};
 
-  return <primitive ref={modelRef} object={scene} {...props} onClick={onMeshClick} dispose={null} />;
+const listModelFailures = (models, loads) => models
+  .filter(model => loads[model.id])
+  .map(model => ({ id: model.id, path: model.path, error: loads[model.id] }));
+
+// --- Model Placeholder ---
+// Marks where a model that failed to load would have been.
+const ModelPlaceholder = ({ position, rotation, scale }) => (
+  <mesh position={position} rotation={rotation} scale={scale}>
+    <boxGeometry args={[0.5, 0.5, 0.5]} />
+    <meshBasicMaterial color="#ff4d6d" wireframe />
+  </mesh>
+);
+
+// Renders one `models` entry from the scene manifest. Each model loads on its
+// own: the rest of the room renders while it is on its way, and if it fails
+// only its `fallback` takes its place. Its physics bodies and screen, if any,
+// mount once it has loaded.
+const ManifestModel = ({ model, isOn, clipRequest, physics, physicsReset, screen, debugMaterials, onMeshClick, onMeshHover, onMeshPointerDown, onLoad, onError }) => {
+  const transform = { position: model.position, rotation: toRadians(model.rotation), scale: model.scale };
+  return (
+    <ErrorBoundary
+      fallback={model.fallback === 'box' ? <ModelPlaceholder {...transform} /> : null}
+      onError={error => onError(model.id, error)}
+    >
+      <Suspense fallback={null}>
+        <Model
+          path={model.path}
+          modelId={model.id}
+          {...transform}
+          onMeshClick={onMeshClick}
+          onMeshHover={onMeshHover}
+          onMeshPointerDown={onMeshPointerDown}
+          inspectable={model.inspectable}
+          animation={model.animation}
+          animationActive={isOn}
+          clips={model.clips}
+          clipRequest={clipRequest}
+          debugMaterials={debugMaterials}
+          onLoad={onLoad}
+        />
+        {physics && <ModelPhysics path={model.path} modelId={model.id} physics={physics} resetRequest={physicsReset} />}
+        {screen && <MonitorScreen path={model.path} modelId={model.id} {...screen} />}
+      </Suspense>
+    </ErrorBoundary>
+  );
 };
 
 
 // --- Light Components ---
-const LightStrip = ({ start = -0.1, end = 2, step = 0.1, position = [1.15, 1.7] }) => {
-  const points = useMemo(() => Array.from({ length: Math.ceil((end - start) / step) + 1 }, (_, i) => start + i * step), [start, end, step]);
+const RectAreaLight = ({ helper = false, rotation, ...props }) => {
+  const lightRef = useRef();
+  useHelper(helper && lightRef, RectAreaLightHelper);
 
-  return (
-    <>
-      {points.map((z, index) => (
-        <pointLight key={index} position={[...position, z]} intensity={0.2} color={'#ffa500'} />
-      ))}
-    </>
-  );
+  return <rectAreaLight ref={lightRef} rotation={toRadians(rotation)} {...props} />;
 };
 
+// Scales a manifest light by the current time-of-day sample.
+const cycleLightProps = (light, daylight) => {
+  if (!daylight || !light.cycle) return light.props;
+
+  const intensity = light.props.intensity ?? 1;
+  switch (light.cycle) {
+    case 'sun':
+      return { ...light.props, intensity: intensity * daylight.sun, color: daylight.sunColor, position: sunPosition(light.props.position ?? [0, 1, 0], daylight) };
+    case 'ambient':
+      return { ...light.props, intensity: intensity * daylight.ambient };
+    default:
+      return { ...light.props, intensity: intensity * daylight.interior };
+  }
+};
 
-// --- Main Scene Component ---
-function ThreeScene() {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const playerRef = useRef(null);
-  const [isOverlayVisible, setIsOverlayVisible] = useState(true);
-  const [isOverlayActive, setIsOverlayActive] = useState(true);
-  const rectAreaLightRef = useRef();
-  const [cameraPosition, setCameraPosition] = useState([5, 5, -3]);
-
-  // YouTube Iframe API initialization
-  useEffect(() => {
-    const tag = document.createElement('script');
-    tag.src = "https://www.youtube.com/iframe_api";
-    const firstScriptTag = document.getElementsByTagName('script')[0];
-    firstScriptTag.parentNode.insertBefore(tag, firstScriptTag);
-
-    window.onYouTubeIframeAPIReady = () => {
-      playerRef.current = new window.YT.Player('youtube-player', {
-        height: '0',
-        width: '0',
-        videoId: '5qap5aO4i9A',
-        playerVars: {
-          autoplay: 0,
-          loop: 1,
-          controls: 0,
-          modestbranding: 1,
-          playlist: '7NOSDKb0HlU'
-        }
-      });
-    };
+// Renders one `lights` entry from the scene manifest. Switched-off lights stay
+// mounted at zero intensity so toggling them doesn't recompile every shader.
+// `color` overrides the manifest's, for lights that follow the monitor screen.
+const ManifestLight = ({ light, isOn, daylight, stripDensity, color }) => {
+  const cycled = cycleLightProps(light, daylight);
+  const tinted = color ? { ...cycled, color } : cycled;
+  const props = isOn ? tinted : { ...tinted, intensity: 0 };
+
+  switch (light.type) {
+    case 'ambient':
+      return <ambientLight {...props} />;
+    case 'directional':
+      return <directionalLight {...props} />;
+    case 'point':
+      return <pointLight {...props} />;
+    case 'rectArea':
+      return <RectAreaLight {...props} />;
+    case 'strip':
+      return <StripLight {...props} density={stripDensity} />;
+    default:
+      return null;
+  }
+};
+
+// Shown in place of the canvas when the scene manifest fails validation.
+const ManifestErrorPanel = ({ error }) => (
+  <div style={{
+    position: 'absolute',
+    inset: 0,
+    padding: '40px',
+    background: '#1a1a1a',
+    color: '#ff8a80',
+    fontFamily: 'monospace',
+    fontSize: '13px',
+    whiteSpace: 'pre-wrap',
+    overflow: 'auto',
+  }}>
+    {error.message}
+  </div>
+);
+
+
+// The scene fills this box, so its container decides its size and the
+// overlays stack above the canvas without reaching the rest of a host page.
+const ROOT_STYLE = { position: 'relative', width: '100%', height: '100%', overflow: 'hidden', isolation: 'isolate' };
+
+// --- Scene View ---
+// Everything ThreeScene renders, below the providers it sets up.
+function SceneView({
+  scene,
+  manifest: manifestProp,
+  initialView,
+  audio = true,
+  overlay = true,
+  ui = true,
+  snapshot: isSnapshot = false,
+  stats = false,
+  editor = false,
+  debugMaterials = false,
+  quality: pinnedQuality,
+  weather: pinnedWeather,
+  hour,
+  onReady,
+  onObjectClick,
+  onViewChange,
+}) {
+  const sceneClock = useSceneClock();
+  const { setPresetScale } = useMaterialStore();
+  const assetUrl = useAssetUrl();
+  const [isOverlayVisible, setIsOverlayVisible] = useState(!isSnapshot && overlay);
+  const [isOverlayActive, setIsOverlayActive] = useState(!isSnapshot && overlay);
+  const [{ manifest, error: manifestError }] = useState(() => readSceneManifest(scene, manifestProp));
+  const containerRef = useRef(null);
+  const [sceneStats, setSceneStats] = useState(null);
+  const [hoveredMesh, setHoveredMesh] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [switches, setSwitches] = useState(() => initialSwitches(manifest?.hotspots ?? []));
+  const [cameraView, setCameraView] = useState(() => initialCameraView(manifest?.camera, initialView));
+  const [clipRequests, setClipRequests] = useState({});
+  // Bumped by RESET ROOM; every physics prop goes back to where it was authored.
+  const [physicsReset, setPhysicsReset] = useState(0);
+  // Box3 around the swaying room once it has loaded; the camera fits it.
+  const [roomBounds, setRoomBounds] = useState(null);
+  // The color the monitor screen's content mostly shows; its lights take it on.
+  const [screenColor, setScreenColor] = useState(null);
+
+  const [isSceneReady, setIsSceneReady] = useState(false);
+  const [sceneError, setSceneError] = useState(null);
+  // Model id -> null once loaded, or the error it failed with.
+  const [modelLoads, setModelLoads] = useState({});
+
+  const audioConfig = audio ? manifest?.audio : null;
+  const panels = resolveUi(ui);
+
+  const music = useAudioPlayer(audioConfig, { preload: !isSnapshot });
+  const timeOfDay = useTimeOfDay(manifest?.timeOfDay, hour ?? null);
+  const weather = useWeather(manifest?.weather, { canFollowFeed: !isSnapshot, pinned: pinnedWeather });
+  // Weather sounds start with the music, once the splash screen is gone.
+  useWeatherAmbience(audio ? manifest?.weather : null, weather, !isOverlayActive && !isSnapshot);
+  const [quality, setQuality] = useQuality(manifest?.postprocessing.defaultQuality, pinnedQuality);
+  const [autoQuality, setAutoQuality] = useStoredSetting('autoQuality', true, value => ({ true: true, false: false })[value]);
+  const [performanceTier, setPerformanceTier] = useState(0);
+  const [isStatsVisible, setIsStatsVisible] = useState(stats);
+  const [frameStats, setFrameStats] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const canvasState = useRef(null);
+  const composerRef = useRef(null);
+  // Captures always render at the full tier, whatever the governor picked.
+  const tier = PERFORMANCE_TIERS[isCapturing ? 0 : performanceTier];
+
+  useTransmission(tier.transmission);
+  const daylight = manifest?.timeOfDay ? timeOfDay.sample : null;
+  const modelsSettled = (manifest?.models ?? []).every(model => model.id in modelLoads);
+  const modelFailures = listModelFailures(manifest?.models ?? [], modelLoads);
+  const loading = useLoadingStatus({ sceneReady: isSceneReady, sceneError, modelFailures, music });
+
+  const handleModelLoad = useCallback((id) => {
+    setModelLoads(loads => (id in loads ? loads : { ...loads, [id]: null }));
+  }, []);
+
+  const handleModelError = useCallback((id, error) => {
+    setModelLoads(loads => ({ ...loads, [id]: error }));
   }, []);
 
+  // Once every model has loaded or failed, list the failures for developers.
+  useEffect(() => {
+    if (!modelsSettled) return;
+    const failures = listModelFailures(manifest.models, modelLoads);
+    if (failures.length > 0) logModelReport(failures, manifest.models.length);
+  }, [modelsSettled, modelLoads, manifest]);
+
 
   // Overlay Visibility Effect
   useEffect(() => {
@@ -234,266 +438,377 @@ function ThreeScene() {
 
 
   const togglePlayback = () => {
-    if (!playerRef.current) return;
-    isPlaying ? playerRef.current.pauseVideo() : playerRef.current.playVideo();
-    setIsPlaying(!isPlaying);
+    music.toggle();
+  };
+
+  // Emissive presets glow with the interior lights as evening falls, and go
+  // dark while a hotspot listing them is switched off.
+  useEffect(() => {
+    if (!manifest) return;
+
+    const emissiveScales = {};
+    manifest.timeOfDay?.emissive.forEach(key => {
+      emissiveScales[key] = daylight.interior;
+    });
+    manifest.hotspots.forEach(hotspot => {
+      hotspot.emissive.forEach(key => {
+        emissiveScales[key] = (emissiveScales[key] ?? 1) * (switches[hotspot.id] === false ? 0 : 1);
+      });
+    });
+    Object.entries(emissiveScales).forEach(([key, scale]) => setPresetScale(key, 'emissiveIntensity', scale));
+  }, [manifest, switches, daylight, setPresetScale]);
+
+  const toggleSwitch = (id) => {
+    setSwitches(current => ({ ...current, [id]: !current[id] }));
   };
 
-  const handleMeshClick = (event) => {
+  const isSwitchOn = (id) => id === undefined || switches[id] !== false;
+
+  // The screen is placed facing the default view, the side it is meant to be seen from.
+  const screenViewPoint = useMemo(() => {
+    const view = manifest?.camera.views.find(entry => entry.name === manifest.camera.defaultView);
+    return view?.position ?? [0, 0, 0];
+  }, [manifest]);
+
+  const screenFor = (model) => (manifest.screen?.match.model === model.id ? {
+    screen: manifest.screen,
+    isOn: isSwitchOn(manifest.screen.switch),
+    viewPoint: screenViewPoint,
+    music,
+    onColor: setScreenColor,
+  } : undefined);
+
+  const lightColor = (light) => screenLightColor(manifest.screen, light.id, screenColor);
+
+  // Each request gets a new id so the same clip can be triggered again.
+  const playClip = (modelId, name) => {
+    setClipRequests(current => ({ ...current, [modelId]: { name, id: (current[modelId]?.id ?? 0) + 1 } }));
+  };
+
+  const handleMeshClick = (event, path, modelId, clipNames) => {
     event.stopPropagation();
-    // const mesh = event.object;
+    // A click that ends a drag (of a prop, or of the camera) selects nothing.
+    if (event.delta > (CLICK_DRAG_THRESHOLD[event.pointerType] ?? CLICK_DRAG_THRESHOLD.mouse)) return;
+    const hotspot = findHotspot(manifest.hotspots, event.object, modelId);
+    onObjectClick?.({ model: modelId, path, object: event.object.name, hotspot: hotspot?.id ?? null, point: event.point.toArray() });
+    if (hotspot) {
+      hotspotActions[hotspot.action](hotspot, { toggleSwitch, togglePlayback, playClip });
+      return;
+    }
+    if (panels.inspector) setSelection({ object: event.object, info: describeObject(event.object, path, clipNames) });
+  };
+
+  const handleMeshPointerDown = (event) => {
+    if (grabProp(event)) event.stopPropagation();
+  };
+
+  const handleMeshHover = (event, path) => {
+    event.stopPropagation();
+    if (path) {
+      setHoveredMesh(event.object);
+      containerRef.current.style.cursor = 'pointer';
+    } else {
+      setHoveredMesh(current => (current === event.object ? null : current));
+      containerRef.current.style.cursor = '';
+    }
+  };
+
+  const handleSceneReady = () => {
+    setIsSceneReady(true);
+    if (isSnapshot) document.documentElement.dataset.sceneReady = '';
+    onReady?.();
   };
 
   const handleOverlayClick = () => {
     setIsOverlayActive(false);
-    if (!isPlaying) {
-      togglePlayback();
+    if (music.state.status !== 'playing') {
+      music.play();
     }
   };
 
-  // Camera position handlers
-  const handleCameraPosition1 = () => {
-    setCameraPosition([5, 5, -3]);  // Default view
+  const handleCameraView = (name) => {
+    setCameraView({ name });
+    onViewChange?.({ name });
+  };
+
+  // Any manual change starts the governor over from the full tier.
+  const handleQualityChange = (nextQuality) => {
+    setQuality(nextQuality);
+    setPerformanceTier(0);
   };
 
-  const handleCameraPosition2 = () => {
-    setCameraPosition([7, 3, 0]);  // Side view
+  const handleAutoQualityChange = (enabled) => {
+    setAutoQuality(enabled);
+    setPerformanceTier(0);
   };
 
-  const handleCameraPosition3 = () => {
-    setCameraPosition([2, 8, -2]);  // Top view
+  // Renders through the canvas once the full tier and a clear outline have
+  // reached it. Opaque captures get the sky painted behind the scene.
+  const runCapture = async (capture, { transparent, ...options }) => {
+    setIsCapturing(true);
+    try {
+      await waitForFrames();
+      const get = canvasState.current;
+      const { gl, scene, camera, controls } = get();
+      const background = transparent ? null : (daylight?.sky ?? [manifest.background]);
+      return await capture({ get, gl, scene, camera, controls, composer: composerRef.current, sceneClock }, { ...options, background });
+    } finally {
+      setIsCapturing(false);
+    }
   };
 
+  if (manifestError) {
+    return (
+      <div style={ROOT_STYLE}>
+        <ManifestErrorPanel error={manifestError} />
+      </div>
+    );
+  }
+
+  const outlinedMeshes = [hoveredMesh, selection?.object].filter(Boolean);
+
   return (
-    <>
-      <style>
-        {`
-          @keyframes pulse {
-            0% { transform: scale(1); }
-            50% { transform: scale(1.05); }
-            100% { transform: scale(1); }
-          }
-          @keyframes fadeIn {
-            0% { opacity: 0; }
-            100% { opacity: 1; }
-          }
-        `}
-      </style>
-
-      {/* Initial Overlay */}
-      {isOverlayVisible && (
-        <div
-          style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            width: '100vw',
-            height: '100vh',
-            background: 'rgba(0, 0, 0, 0.99)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            opacity: isOverlayActive ? 1 : 0,
-            pointerEvents: isOverlayActive ? 'auto' : 'none',
-            transition: 'opacity 0.5s ease-in-out',
-            zIndex: 1001,
-          }}
-          onClick={handleOverlayClick}
-        >
-          <div style={{
-            width: '800px',
-            height: '800px',
-            maxWidth: '90vw',
-            maxHeight: '90vh',
-            position: 'relative',
-            display: 'flex',
-            flexDirection: 'column',
-            justifyContent: 'space-between',
-            alignItems: 'center',
-          }}>
-            <img
-              src="/splash.png"
-              alt="My Little World"
-              style={{
-                width: '100%',
-                height: '100%',
-                maxWidth: '800px',
-                maxHeight: '800px',
-                objectFit: 'contain',
-                padding: '20px',
-                filter: 'drop-shadow(0 0 20px rgba(255,255,255,0.3))',
-                opacity: 0,
-                animation: 'fadeIn 2s ease-in 2s forwards, pulse 4s infinite 2s'
-              }}
+    <div ref={containerRef} style={ROOT_STYLE}>
+      {/* Loading screen, kept up if the scene fails */}
+      {(isOverlayVisible || sceneError) && (
+        <LoadingScreen status={loading} active={isOverlayActive || Boolean(sceneError)} onEnter={handleOverlayClick} />
+      )}
+
+      {/* Controls and overlays, left out of snapshots */}
+      {!isSnapshot && (
+        <>
+          {panels.settings && (
+            <SettingsMenu
+              quality={quality}
+              onQualityChange={handleQualityChange}
+              autoQuality={autoQuality}
+              onAutoQualityChange={handleAutoQualityChange}
+              tier={tier}
+              isStatsVisible={isStatsVisible}
+              onStatsVisibleChange={setIsStatsVisible}
+              postprocessing={manifest.postprocessing}
             />
-          </div>
-        </div>
+          )}
+
+          {panels.capture && (
+            <CaptureMenu
+              onScreenshot={options => runCapture(captureScreenshot, options)}
+              onRecord={options => runCapture(recordLoop, options)}
+              getCanvasSize={() => canvasState.current().size}
+            />
+          )}
+
+          {editor && <MaterialEditor />}
+
+          {selection && <InspectorCard info={selection.info} onClose={() => setSelection(null)} />}
+
+          {isStatsVisible && (sceneStats || frameStats) && (
+            <pre style={{
+              position: 'absolute',
+              bottom: '20px',
+              left: '20px',
+              zIndex: 1000,
+              margin: 0,
+              padding: '8px 12px',
+              background: 'rgba(0, 0, 0, 0.4)',
+              color: 'white',
+              borderRadius: '8px',
+              fontSize: '10px',
+            }}>
+              {frameStats && `fps: ${frameStats.fps.toFixed(0)}\nframe: ${frameStats.frameTime.toFixed(1)}ms\ntier: ${tier.name}\n`}
+              {sceneStats && Object.entries(sceneStats).map(([name, count]) => `${name}: ${count}`).join('\n')}
+            </pre>
+          )}
+
+          {/* Camera view buttons */}
+          {panels.camera && (
+            <div style={{
+              position: 'absolute',
+              top: '20px',
+              left: '20px',
+              zIndex: 1000,
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '10px'
+            }}>
+              {manifest.camera.views.map(view => (
+                <button
+                  key={view.name}
+                  onClick={() => handleCameraView(view.name)}
+                  style={{
+                    padding: '8px 15px',
+                    background: 'rgba(0, 0, 0, 0.18)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '25px',
+                    cursor: 'pointer',
+                    fontSize: '10px',
+                    outline: 'none',
+                  }}
+                >
+                  {view.label}
+                </button>
+              ))}
+              {manifest.physics && (
+                <button
+                  onClick={() => setPhysicsReset(count => count + 1)}
+                  style={{
+                    marginTop: '10px',
+                    padding: '8px 15px',
+                    background: 'rgba(0, 0, 0, 0.18)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '25px',
+                    cursor: 'pointer',
+                    fontSize: '10px',
+                    outline: 'none',
+                  }}
+                >
+                  RESET ROOM
+                </button>
+              )}
+            </div>
+          )}
+
+          {panels.music && audioConfig && <MusicControls music={music} />}
+
+          {panels.timeOfDay && daylight && <TimeOfDayControls timeOfDay={timeOfDay} />}
+
+          {panels.weather && manifest.weather && <WeatherControls weather={weather} />}
+
+          {panels.animation && <AnimationControls />}
+        </>
       )}
 
-      <div id="youtube-player" style={{ display: 'none' }}></div>
-
-      {/* Camera position buttons */}
-      <div style={{
-        position: 'fixed',
-        top: '20px',
-        left: '20px',
-        zIndex: 1000,
-        display: 'flex',
-        flexDirection: 'column',
-        gap: '10px'
-      }}>
-        <button
-          onClick={handleCameraPosition1}
-          style={{
-            padding: '8px 15px',
-            background: 'rgba(0, 0, 0, 0.18)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '25px',
-            cursor: 'pointer',
-            fontSize: '10px',
-            outline: 'none',
+      <ErrorBoundary onError={setSceneError}>
+        <Canvas
+          gl={{
+            physicallyCorrectLights: true,
+            outputColorSpace: THREE.SRGBColorSpace,
           }}
-        >
-          FRONT
-        </button>
-        <button
-          onClick={handleCameraPosition2}
           style={{
-            padding: '8px 15px',
-            background: 'rgba(0, 0, 0, 0.18)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '25px',
-            cursor: 'pointer',
-            fontSize: '10px',
-            outline: 'none',
-          }}
-        >
-          SIDE
-        </button>
-        <button
-          onClick={handleCameraPosition3}
-          style={{
-            padding: '8px 15px',
-            background: 'rgba(0, 0, 0, 0.18)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '25px',
-            cursor: 'pointer',
-            fontSize: '10px',
-            outline: 'none',
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            background: daylight ? `linear-gradient(${daylight.sky[0]}, ${daylight.sky[1]})` : manifest.background,
           }}
+          dpr={resolveDpr(QUALITY_PRESETS[quality].dpr, tier.dprScale)}
+          camera={{ zoom: BASE_ZOOM }}
+          onPointerMissed={() => setSelection(null)}
         >
-          TOP
-        </button>
-      </div>
-
-      <button
-        onClick={togglePlayback}
-        style={{
-          position: 'fixed',
-          bottom: '20px',
-          right: '20px',
-          zIndex: 1000,
-          padding: '10px 20px',
-          background: 'rgba(0, 0, 0, 0.18)',
-          color: 'white',
-          border: 'none',
-          borderRadius: '25px',
-          cursor: 'pointer',
-          fontSize: '10px',
-          outline: 'none',
-        }}
-      >
-        {isPlaying ? 'P A U S E' : 'P L A Y'}
-      </button>
-
-      <Canvas
-        gl={{
-          physicallyCorrectLights: true,
-          outputEncoding: THREE.sRGBEncoding,
-        }}
-        style={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          width: '100vw',
-          height: '100vh',
-          backgroundColor: '#9CB9E7',
-        }}
-        camera={{ position: cameraPosition, zoom: 100 }}
-      >
-        {/* Camera */}
-        <ResizeHandler />
-        <CameraController />
-        <OrthographicCamera makeDefault near={-1000} far={1000} position={cameraPosition} />
-
-        {/* Cloud is outside of SceneContainer so it doesn't sway with the rest */}
-        <Model path="/cloud.glb" position={[0, 0, 0]} scale={1} onMeshClick={handleMeshClick} animation={useCloudAnimation} />
-
-        {/* All other models inside SceneContainer for collective sway */}
-        <SceneContainer>
-          <Model path="/static.glb" position={[0, 0, 0]} onMeshClick={handleMeshClick} />
-          <Model path="/fan.glb" position={[1.325, 1.025, 1.64]} onMeshClick={handleMeshClick} animation={useFanAnimation} />
-          <Model path="/ceiling.glb" position={[2.04, 5.17, -0.247]} scale={[3.7, 3.7, 3.7]} onMeshClick={handleMeshClick} animation={useCeilingAnimation} />
-          <Model path="/bird.glb" position={[0.2, 3, -3.5]} scale={[0.5, 0.5, 0.5]} onMeshClick={handleMeshClick} animation={(ref) => useBirdAnimation(ref, [0.2, 3, -3.5], 1)} />
-          <Model path="/dynamic.glb" position={[0, 0, 0]} onMeshClick={handleMeshClick} />
-
-          {/* Lighting */}
-          <ambientLight intensity={0.25} />
-          <directionalLight position={[0, 20, 0]} intensity={0.25} />
-          <LightStrip />
-          
-          {/* Monitor Lights */}
-          <pointLight position={[1.5, 1.3, 0]} intensity={0.5} color={'#8fbddb'} />
-          <pointLight position={[1.5, 1.3, .5]} intensity={1} color={'#8fbddb'} />
-
-          {/* Area Lights */}
-          <rectAreaLight
-            ref={rectAreaLightRef}
-            width={2.3}
-            height={0.2}
-            color={'#ffa500'}
-            intensity={25}
-            position={[1.2, 1.65, 1.05]}
-            rotation={[Math.PI / 2, Math.PI / 1, Math.PI / 2]}
-          />
-          <rectAreaLight
-            width={2.3}
-            height={0.05}
-            color={'#ffa500'}
-            intensity={25}
-            position={[2.7, 0.49, 1.05]}
-            rotation={[Math.PI / 2, Math.PI / 1, Math.PI / 1]}
+          {/* Camera */}
+          <SceneClockDriver />
+          {isStatsVisible && <StatsReporter onChange={setSceneStats} />}
+          <CaptureBridge stateRef={canvasState} />
+          {modelsSettled && <SceneReadyMarker onReady={handleSceneReady} />}
+          <PerformanceGovernor
+            tier={performanceTier}
+            enabled={autoQuality && !isCapturing && !isSnapshot}
+            onTierChange={setPerformanceTier}
+            onSample={isStatsVisible ? setFrameStats : undefined}
           />
-          {rectAreaLightRef.current && (
-            <primitive object={new RectAreaLightHelper(rectAreaLightRef.current)} dispose={null} />
+          <OrthographicCamera makeDefault near={-1000} far={1000} />
+          <CameraRig views={manifest.camera.views} request={cameraView} transition={manifest.camera.transition} bounds={roomBounds} />
+
+          {/* Models and lights with `sway: false` stay outside SceneContainer */}
+          {manifest.models.filter(model => !model.sway).map(model => (
+            <ManifestModel key={model.id} model={model} isOn={isSwitchOn(model.switch)} clipRequest={clipRequests[model.id]} screen={screenFor(model)} debugMaterials={debugMaterials} onMeshClick={handleMeshClick} onMeshHover={handleMeshHover} onMeshPointerDown={handleMeshPointerDown} onLoad={handleModelLoad} onError={handleModelError} />
+          ))}
+          {manifest.lights.filter(light => !light.sway).map(light => (
+            <ManifestLight key={light.id} light={light} isOn={isSwitchOn(light.switch)} daylight={daylight} stripDensity={tier.stripDensity} color={lightColor(light)} />
+          ))}
+
+          {/* Everything else inside SceneContainer for collective sway, with the physics world */}
+          <SceneContainer settled={modelsSettled} onMeasure={setRoomBounds}>
+            <RoomPhysics config={manifest.physics}>
+              {manifest.models.filter(model => model.sway).map(model => (
+                <ManifestModel key={model.id} model={model} isOn={isSwitchOn(model.switch)} clipRequest={clipRequests[model.id]} physics={manifest.physics} physicsReset={physicsReset} screen={screenFor(model)} debugMaterials={debugMaterials} onMeshClick={handleMeshClick} onMeshHover={handleMeshHover} onMeshPointerDown={handleMeshPointerDown} onLoad={handleModelLoad} onError={handleModelError} />
+              ))}
+            </RoomPhysics>
+            {manifest.lights.filter(light => light.sway).map(light => (
+              <ManifestLight key={light.id} light={light} isOn={isSwitchOn(light.switch)} daylight={daylight} stripDensity={tier.stripDensity} color={lightColor(light)} />
+            ))}
+          </SceneContainer>
+
+          {/* Weather stays still around the swaying room, in the frame it was measured in */}
+          {manifest.weather && (
+            <WeatherEffects config={manifest.weather} weather={weather} bounds={roomBounds} daylight={daylight} density={tier.weatherDensity} />
           )}
-        </SceneContainer>
 
-        <Environment preset="sunset" />
+          {manifest.environment && (
+            <Environment
+              {...manifest.environment}
+              files={manifest.environment.files && assetUrl(manifest.environment.files)}
+              environmentIntensity={(manifest.environment.environmentIntensity ?? 1) * (daylight?.environment ?? 1)}
+            />
+          )}
 
-        {/* Controls */}
-        <OrbitControls
-          target={[2, 2, 0]}
-          minPolarAngle={Math.PI / 12}
-          maxPolarAngle={Math.PI / 2.25}
-        />
+          {/* Controls */}
+          <OrbitControls
+            makeDefault
+            minPolarAngle={Math.PI / 12}
+            maxPolarAngle={Math.PI / 2.25}
+            {...(isCoarsePointer() ? TOUCH_CONTROLS : {})}
+          />
 
-        {/* Post Processing */}
-        <EffectComposer>
-          <HueSaturation hue={-0.2} saturation={0.35} />
-          <BrightnessContrast brightness={-0.2} contrast={0.2} />
-          <Bloom
-            intensity={0.4}
-            luminanceThreshold={5}
-            luminanceSmoothing={0.025}
-            mipmapBlur
+          {/* Post Processing */}
+          <PostProcessing
+            ref={composerRef}
+            config={manifest.postprocessing}
+            quality={quality}
+            skipEffects={tier.dropEffects}
+            outlined={isCapturing ? [] : outlinedMeshes}
           />
-        </EffectComposer>
-      </Canvas>
-    </>
+        </Canvas>
+      </ErrorBoundary>
+    </div>
+  );
+}
+
+// --- Main Scene Component ---
+// Every prop is optional; the app passes what it read from its URL (see
+// urlOptions.js), and an embed passes its own. Each scene has its own clock,
+// material presets and asset base, so several can share a page. Props are read
+// once, on mount, apart from the callbacks.
+//   scene          name of a manifest in src/scenes/
+//   manifest       a manifest object of your own instead
+//   assetBase      URL the files in public/ are served from (src/assets.js)
+//   initialView    camera view to open on
+//   audio          false leaves the music out
+//   overlay        false skips the splash screen and opens straight on the room
+//   ui             which control panels to show (src/panels.js)
+//   snapshot       bare scene for the visual regression harness: no overlay,
+//                  controls or performance governor, and `<html data-scene-ready>`
+//                  once everything has loaded and rendered
+//   stats          start with the stats overlay shown
+//   editor         show the material editor
+//   debugMaterials log which material rule each mesh matched
+//   quality        quality level to use instead of the saved one
+//   weather        weather to pin instead of following the feed
+//   hour           time of day to pin, 0-24
+//   clock          the scene clock's start: { time, paused, timeScale, fixedStep }
+//   onReady()                      once the room has loaded and rendered
+//   onObjectClick({ model, path, object, hotspot, point })
+//   onViewChange({ name })         when a camera view is picked
+function ThreeScene({ assetBase, clock: clockOptions, ...props }) {
+  const [clock] = useState(() => createSceneClock(clockOptions));
+  const [materialStore] = useState(createMaterialStore);
+  const [modelCopies] = useState(() => new WeakMap());
+
+  useEffect(() => clock.followSystemMotion(), [clock]);
+
+  return (
+    <SceneClockContext.Provider value={clock}>
+      <MaterialStoreContext.Provider value={materialStore}>
+        <AssetBaseContext.Provider value={assetBase}>
+          <ModelCopiesContext.Provider value={modelCopies}>
+            <SceneView {...props} />
+          </ModelCopiesContext.Provider>
+        </AssetBaseContext.Provider>
+      </MaterialStoreContext.Provider>
+    </SceneClockContext.Provider>
   );
 }
 
@@ -0,0 +1,56 @@
+import { formatHour } from './timeOfDay.js';
+
+// --- Time of Day Scrubber ---
+// `timeOfDay` is the object returned by useTimeOfDay.
+function TimeOfDayControls({ timeOfDay }) {
+  const { mode, sample, scrub, followClock } = timeOfDay;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 1000,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '6px 12px',
+      background: 'rgba(0, 0, 0, 0.18)',
+      color: 'white',
+      borderRadius: '25px',
+      fontSize: '10px',
+    }}>
+      <span style={{ width: '34px' }}>{formatHour(sample.hour)}</span>
+      <input
+        type="range"
+        min={0}
+        max={24}
+        step={0.25}
+        value={sample.hour}
+        onChange={event => scrub(Number(event.target.value))}
+        aria-label="Time of day"
+        style={{ width: '140px' }}
+      />
+      <button
+        onClick={followClock}
+        disabled={mode === 'clock'}
+        style={{
+          padding: '4px 10px',
+          background: 'none',
+          color: 'white',
+          border: 'none',
+          borderRadius: '25px',
+          cursor: mode === 'clock' ? 'default' : 'pointer',
+          fontSize: '10px',
+          outline: 'none',
+          opacity: mode === 'clock' ? 0.4 : 1,
+        }}
+      >
+        NOW
+      </button>
+    </div>
+  );
+}
+
+export default TimeOfDayControls;
@@ -0,0 +1,57 @@
+import { WEATHER_NAMES } from './weather.js';
+
+const buttonStyle = {
+  padding: '4px 10px',
+  background: 'none',
+  color: 'white',
+  border: 'none',
+  borderRadius: '25px',
+  cursor: 'pointer',
+  fontSize: '10px',
+  outline: 'none',
+};
+
+// --- Weather Picker ---
+// `weather` is the object returned by useWeather. Sits under the time-of-day
+// scrubber; FEED goes back to following the weather feed.
+function WeatherControls({ weather }) {
+  const { mode, hasFeed, select, followFeed } = weather;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '60px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: 1000,
+      display: 'flex',
+      alignItems: 'center',
+      gap: '2px',
+      padding: '2px 6px',
+      background: 'rgba(0, 0, 0, 0.18)',
+      borderRadius: '25px',
+    }}>
+      {WEATHER_NAMES.map(name => (
+        <button
+          key={name}
+          onClick={() => select(name)}
+          aria-pressed={weather.weather === name}
+          style={{ ...buttonStyle, opacity: weather.weather === name ? 1 : 0.5 }}
+        >
+          {name.toUpperCase()}
+        </button>
+      ))}
+      {hasFeed && (
+        <button
+          onClick={followFeed}
+          disabled={mode === 'feed'}
+          style={{ ...buttonStyle, cursor: mode === 'feed' ? 'default' : 'pointer', opacity: mode === 'feed' ? 0.4 : 1 }}
+        >
+          FEED
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default WeatherControls;
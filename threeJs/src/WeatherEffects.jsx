@@ -0,0 +1,235 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { useSceneClock } from './sceneClock.js';
+import { WEATHER_TYPES, seededRandom, weatherArea } from './weather.js';
+
+const SHAPES = { streak: 0, flake: 1, leaf: 2, puff: 3 };
+
+// Every particle is a quad placed entirely in the vertex shader from the
+// scene time and its own random traits, so a layer costs one draw call and no
+// per-frame uploads. Particles wrap around inside the area and collapse to
+// nothing inside the room or above the layer's current amount, which is how
+// the weather fades in and out.
+const vertexShader = /* glsl */ `
+  uniform float uTime;
+  uniform float uAmount;
+  uniform float uSize;
+  uniform float uLength;
+  uniform float uFall;
+  uniform vec2 uWind;
+  uniform float uSway;
+  uniform float uSpin;
+  uniform int uShape;
+  uniform vec3 uAreaMin;
+  uniform vec3 uAreaSize;
+  uniform vec3 uExcludeMin;
+  uniform vec3 uExcludeMax;
+
+  attribute vec3 aOffset;
+  attribute vec4 aTraits; // threshold, phase, speed/size variation, color pick
+
+  varying vec2 vUv;
+  varying float vAlpha;
+  varying float vColor;
+
+  void main() {
+    vUv = uv;
+    vColor = aTraits.w;
+
+    float phase = aTraits.y * 6.2831853;
+    float variation = 0.7 + 0.6 * aTraits.z;
+    vec3 travel = vec3(uWind.x, -uFall, uWind.y) * uTime * variation;
+    vec3 local = mod(aOffset * uAreaSize + travel, uAreaSize);
+    local.xz += vec2(sin(uTime * 1.3 + phase), cos(uTime * 1.1 + phase)) * uSway;
+    vec3 world = uAreaMin + local;
+
+    bool inRoom = all(greaterThan(world, uExcludeMin)) && all(lessThan(world, uExcludeMax));
+    float shown = inRoom ? 0.0 : clamp((uAmount - aTraits.x) * 10.0, 0.0, 1.0);
+    // Fades out near the top and bottom, where particles wrap around.
+    float edge = clamp(min(local.y, uAreaSize.y - local.y) / max(0.15 * uAreaSize.y, 0.001), 0.0, 1.0);
+    vAlpha = shown * edge;
+
+    vec3 right = vec3(viewMatrix[0][0], viewMatrix[1][0], viewMatrix[2][0]);
+    vec3 up = vec3(viewMatrix[0][1], viewMatrix[1][1], viewMatrix[2][1]);
+    vec3 forward = vec3(viewMatrix[0][2], viewMatrix[1][2], viewMatrix[2][2]);
+    float size = uSize * variation * step(0.001, vAlpha);
+    vec3 corner;
+
+    if (uShape == 0) {
+      // Streaks stand along their fall, turned to face the camera.
+      vec3 along = normalize(vec3(uWind.x, -uFall, uWind.y));
+      vec3 across = cross(along, forward);
+      across = length(across) > 0.001 ? normalize(across) : right;
+      corner = across * position.x * size + along * position.y * uLength * step(0.001, vAlpha);
+    } else {
+      vec2 quad = position.xy;
+      if (uShape == 2) {
+        float angle = uTime * uSpin * (aTraits.z - 0.5) * 2.0 + phase;
+        quad.x *= cos(uTime * uSpin * 0.7 + phase);
+        quad = mat2(cos(angle), sin(angle), -sin(angle), cos(angle)) * quad;
+      }
+      corner = (right * quad.x + up * quad.y) * size;
+    }
+
+    gl_Position = projectionMatrix * viewMatrix * vec4(world + corner, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 uColors[3];
+  uniform float uOpacity;
+  uniform float uBrightness;
+  uniform int uShape;
+
+  varying vec2 vUv;
+  varying float vAlpha;
+  varying float vColor;
+
+  void main() {
+    vec2 p = vUv * 2.0 - 1.0;
+    float alpha;
+    if (uShape == 0) alpha = (1.0 - abs(p.x)) * (1.0 - 0.5 * abs(p.y));
+    else if (uShape == 1) alpha = smoothstep(1.0, 0.3, length(p));
+    else if (uShape == 2) alpha = smoothstep(1.0, 0.85, length(p * vec2(1.8, 1.0)));
+    else alpha = exp(-3.0 * dot(p, p));
+
+    alpha *= uOpacity * vAlpha;
+    if (alpha < 0.01) discard;
+
+    int pick = int(floor(vColor * 3.0));
+    vec3 color = pick == 0 ? uColors[0] : pick == 1 ? uColors[1] : uColors[2];
+    gl_FragColor = vec4(color * uBrightness, alpha);
+
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+// The same seed for every layer type, so reloading scatters it the same way.
+const SEEDS = { rain: 1, snow: 2, leaves: 3, fog: 4 };
+
+const createParticleGeometry = (type, count) => {
+  const quad = new THREE.PlaneGeometry(1, 1);
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.index = quad.index;
+  geometry.setAttribute('position', quad.getAttribute('position'));
+  geometry.setAttribute('uv', quad.getAttribute('uv'));
+
+  const random = seededRandom(SEEDS[type]);
+  const offsets = new Float32Array(count * 3);
+  const traits = new Float32Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    offsets.set([random(), random(), random()], i * 3);
+    // Thresholds stop at 0.9 so every particle is fully in at amount 1.
+    traits.set([random() * 0.9, random(), random(), random()], i * 4);
+  }
+  geometry.setAttribute('aOffset', new THREE.InstancedBufferAttribute(offsets, 3));
+  geometry.setAttribute('aTraits', new THREE.InstancedBufferAttribute(traits, 4));
+  geometry.instanceCount = count;
+  return geometry;
+};
+
+// --- Weather Layer ---
+// One kind of weather. `target` is the amount it heads for (the intensity
+// while it is the current weather, 0 otherwise), reached over `transition`
+// seconds; the layer is skipped entirely while it sits at 0.
+function WeatherLayer({ type, settings, target, transition, area, exclude, density, brightness }) {
+  const meshRef = useRef();
+  const clock = useSceneClock();
+  const amount = useRef(0);
+  const time = useRef(0);
+
+  const geometry = useMemo(() => createParticleGeometry(type, settings.count), [type, settings]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const material = useMemo(() => {
+    const colors = [0, 1, 2].map(index => new THREE.Color(settings.colors[index % settings.colors.length]));
+    return new THREE.ShaderMaterial({
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      uniforms: {
+        uTime: { value: 0 },
+        uAmount: { value: 0 },
+        uSize: { value: settings.size },
+        uLength: { value: settings.length ?? settings.size },
+        uFall: { value: settings.fall },
+        uWind: { value: new THREE.Vector2(...settings.wind) },
+        uSway: { value: settings.sway },
+        uSpin: { value: settings.spin },
+        uShape: { value: SHAPES[settings.shape] },
+        uAreaMin: { value: new THREE.Vector3() },
+        uAreaSize: { value: new THREE.Vector3() },
+        uExcludeMin: { value: new THREE.Vector3() },
+        uExcludeMax: { value: new THREE.Vector3() },
+        uColors: { value: colors },
+        uOpacity: { value: settings.opacity },
+        uBrightness: { value: 1 },
+      },
+    });
+  }, [settings]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  useEffect(() => {
+    const { uniforms } = material;
+    uniforms.uAreaMin.value.copy(area.min);
+    area.getSize(uniforms.uAreaSize.value);
+    // The layer's band of the area's height.
+    uniforms.uAreaMin.value.y += settings.band[0] * uniforms.uAreaSize.value.y;
+    uniforms.uAreaSize.value.y *= settings.band[1] - settings.band[0];
+    uniforms.uExcludeMin.value.copy(exclude.min);
+    uniforms.uExcludeMax.value.copy(exclude.max);
+  }, [material, settings, area, exclude]);
+
+  useEffect(() => {
+    geometry.instanceCount = Math.max(1, Math.round(settings.count * density));
+  }, [geometry, settings, density]);
+
+  useFrame((_, delta) => {
+    const step = transition > 0 ? delta / transition : 1;
+    amount.current += THREE.MathUtils.clamp(target - amount.current, -step, step);
+    // Held still with the rest of the room while reduced motion is on.
+    if (!clock.isReducedMotion()) time.current = clock.getTime();
+
+    material.uniforms.uAmount.value = amount.current;
+    material.uniforms.uTime.value = time.current;
+    material.uniforms.uBrightness.value = brightness;
+    meshRef.current.visible = amount.current > 0;
+  });
+
+  return <mesh ref={meshRef} geometry={geometry} material={material} frustumCulled={false} visible={false} />;
+}
+
+// --- Weather Effects ---
+// Every kind of weather around the room, in the room's frame. `weather` is
+// the object returned by useWeather, `bounds` the room's measured bounds (the
+// layers wait for them), `daylight` the time-of-day sample that dims them at
+// night and `density` the governor's share of particles to draw.
+function WeatherEffects({ config, weather, bounds, daylight, density = 1 }) {
+  const { area, exclude } = useMemo(() => (bounds ? weatherArea(config, bounds) : {}), [config, bounds]);
+  if (!area) return null;
+
+  const brightness = daylight ? 0.35 + 0.65 * Math.min(daylight.sun, 1) : 1;
+
+  return (
+    <group>
+      {Object.entries(WEATHER_TYPES).map(([type, settings]) => (
+        <WeatherLayer
+          key={type}
+          type={type}
+          settings={settings}
+          target={weather.weather === type ? weather.intensity : 0}
+          transition={config.transition}
+          area={area}
+          exclude={exclude}
+          density={density}
+          brightness={brightness}
+        />
+      ))}
+    </group>
+  );
+}
+
+export default WeatherEffects;
@@ -0,0 +1,181 @@
+import { useEffect, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { easings } from './easing.js';
+import { useSceneClock } from './sceneClock.js';
+
+// Declarative animations. A model's animation is a list of tracks; each track
+// moves one or more transform properties ('position.x', 'rotation.y',
+// 'scale.z', ...) relative to where the model was placed, and tracks on the
+// same property add up. Every track also takes
+//   speed      multiplier on time (default 1)
+//   amplitude  multiplier on the size of the motion (default 1)
+//   phase      seconds added to the track's time (default 0)
+//   motionSensitive  true holds the track still while reduced motion is on
+//              (the OS `prefers-reduced-motion` setting, or the toggle in the
+//              animation controls)
+
+const TAU = Math.PI * 2;
+
+const WAVES = { sin: Math.sin, cos: Math.cos };
+
+// Axis pairs an orbit moves in, by the axis it circles around.
+const ORBIT_PLANES = { x: ['y', 'z'], y: ['x', 'z'], z: ['x', 'y'] };
+
+const curves = new WeakMap();
+
+const pathCurve = (track) => {
+  if (!curves.has(track)) {
+    const points = track.points.map(point => new THREE.Vector3(...point));
+    curves.set(track, new THREE.CatmullRomCurve3(points, track.closed ?? track.loop));
+  }
+  return curves.get(track);
+};
+
+// Progress through a clip of `duration` seconds, looping or holding the end.
+const clipProgress = (time, duration, loop) => (
+  loop ? (((time % duration) + duration) % duration) / duration : THREE.MathUtils.clamp(time / duration, 0, 1)
+);
+
+const keyframeValue = (keys, time) => {
+  const next = keys.findIndex(key => key.time > time);
+  if (next === -1) return keys[keys.length - 1].value;
+  if (next === 0) return keys[0].value;
+
+  const from = keys[next - 1];
+  const to = keys[next];
+  const t = easings[from.easing ?? 'linear']((time - from.time) / (to.time - from.time));
+  return THREE.MathUtils.lerp(from.value, to.value, t);
+};
+
+/**
+ * Track types. `fields` lists the manifest parameters and `required` the ones
+ * without a default (both checked by the scene manifest validator);
+ * `evaluate(track, time)` returns [property, offset] pairs for the track's own
+ * time.
+ */
+export const animationTypes = {
+  // Swings a property back and forth by `amount` every `period` seconds.
+  oscillate: {
+    required: ['property', 'amount', 'period'],
+    fields: { property: 'property', amount: 'number', period: 'number', wave: 'wave' },
+    evaluate: ({ property, amount, period, wave = 'sin' }, time) => [[property, amount * WAVES[wave]((TAU * time) / period)]],
+  },
+  // Spins around `axis` at `rate` radians per second.
+  rotate: {
+    required: ['rate'],
+    fields: { axis: 'axis', rate: 'number' },
+    evaluate: ({ axis = 'y', rate }, time) => [[`rotation.${axis}`, rate * time]],
+  },
+  // Circles around `axis` with `radius`, once every `period` seconds.
+  orbit: {
+    required: ['radius', 'period'],
+    fields: { axis: 'axis', radius: 'number', period: 'number' },
+    evaluate: ({ axis = 'y', radius, period }, time) => {
+      const [first, second] = ORBIT_PLANES[axis];
+      const angle = (TAU * time) / period;
+      return [[`position.${first}`, Math.cos(angle) * radius], [`position.${second}`, Math.sin(angle) * radius]];
+    },
+  },
+  // Follows a smooth curve through `points` (offsets from the model's position)
+  // in `duration` seconds.
+  path: {
+    required: ['points', 'duration'],
+    fields: { points: 'vec3List', duration: 'number', loop: 'boolean', closed: 'boolean', easing: 'easing' },
+    evaluate: (track, time) => {
+      const { duration, loop = true, easing = 'linear' } = track;
+      const point = pathCurve(track).getPointAt(easings[easing](clipProgress(time, duration, loop)));
+      return [['position.x', point.x], ['position.y', point.y], ['position.z', point.z]];
+    },
+  },
+  // Interpolates a property between `keys` ({ time, value, easing }), easing
+  // each segment with the curve named on its first key.
+  keyframes: {
+    required: ['property', 'keys'],
+    fields: { property: 'property', keys: 'keyframes', loop: 'boolean' },
+    evaluate: ({ property, keys, loop = true }, time) => {
+      const duration = keys[keys.length - 1].time;
+      const clipTime = duration > 0 ? clipProgress(time, duration, loop) * duration : 0;
+      return [[property, keyframeValue(keys, clipTime)]];
+    },
+  },
+};
+
+// Named track lists the scene manifest can reference with
+// `"animation": "fan"` or `{ "preset": "bird", "amplitude": 2 }`.
+export const animationPresets = {
+  fan: [
+    { type: 'oscillate', property: 'rotation.y', amount: Math.PI / 4, period: TAU },
+  ],
+  ceiling: [
+    { type: 'rotate', axis: 'y', rate: -10, motionSensitive: true },
+  ],
+  cloud: [
+    { type: 'oscillate', property: 'position.z', amount: 20, period: TAU / 0.15 },
+  ],
+  bird: [
+    { type: 'oscillate', property: 'position.x', amount: 1, period: TAU / 0.5 },
+    { type: 'oscillate', property: 'position.y', amount: 0.4, period: TAU / 0.8, wave: 'cos' },
+    { type: 'oscillate', property: 'position.z', amount: 0.2, period: TAU / 0.5 },
+  ],
+};
+
+// The gentle sway of the whole room.
+export const ROOM_SWAY = [
+  { type: 'oscillate', property: 'position.x', amount: 0.25, period: 5, motionSensitive: true },
+  { type: 'oscillate', property: 'position.y', amount: 0.15, period: 8, motionSensitive: true },
+  { type: 'oscillate', property: 'rotation.z', amount: 0.025, period: 5, motionSensitive: true },
+];
+
+const TRANSFORMS = ['position', 'rotation', 'scale'];
+
+const applyTracks = (object, base, tracks, time, reducedMotion) => {
+  const offsets = {};
+  tracks.forEach(track => {
+    const { speed = 1, amplitude = 1, phase = 0 } = track;
+    // Held tracks still claim their properties so they settle on the base pose.
+    const scale = reducedMotion && track.motionSensitive ? 0 : amplitude;
+    animationTypes[track.type].evaluate(track, time * speed + phase).forEach(([property, offset]) => {
+      offsets[property] = (offsets[property] ?? 0) + offset * scale;
+    });
+  });
+
+  Object.entries(offsets).forEach(([property, offset]) => {
+    const [transform, axis] = property.split('.');
+    object[transform][axis] = base[transform][axis] + offset;
+  });
+};
+
+/**
+ * Plays `tracks` on `ref.current` from the scene clock. While `active` is
+ * false the object holds its pose and picks up where it stopped once active
+ * again. Safe to call with no tracks.
+ */
+export const useAnimation = (ref, tracks, { active = true } = {}) => {
+  const clock = useSceneClock();
+  const state = useRef({ base: null, pausedFor: 0 });
+
+  // Put the object back where it was placed when its tracks change.
+  useEffect(() => () => {
+    const { base } = state.current;
+    if (base && ref.current) {
+      TRANSFORMS.forEach(transform => ref.current[transform].copy(base[transform]));
+    }
+    state.current = { base: null, pausedFor: 0 };
+  }, [ref, tracks]);
+
+  useFrame(() => {
+    const object = ref.current;
+    if (!object || !tracks?.length) return;
+
+    const current = state.current;
+    if (!current.base) {
+      current.base = Object.fromEntries(TRANSFORMS.map(transform => [transform, object[transform].clone()]));
+    }
+    if (!active) {
+      current.pausedFor += clock.getDelta();
+      return;
+    }
+    applyTracks(object, current.base, tracks, clock.getTime() - current.pausedFor, clock.isReducedMotion());
+  });
+};
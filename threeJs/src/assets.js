@@ -0,0 +1,29 @@
+import { createContext, useCallback, useContext } from 'react';
+
+// Where the files in public/ (models, audio, the splash image and the GLB
+// decoders) are served from. The app serves them itself; an embed on another
+// site points its ThreeScene's `assetBase` at wherever they are hosted, and
+// the scene hands it down through AssetBaseContext. Models are cached by
+// their full URL, so scenes with different bases don't share them. The
+// decoders are set up once per page, from the first scene's base.
+
+const withSlash = (base) => (base.endsWith('/') ? base : `${base}/`);
+
+// Vite defines import.meta.env; under plain Node (the unit tests) it is '/'.
+const DEFAULT_BASE = import.meta.env?.BASE_URL ?? '/';
+
+/**
+ * URL of a public file as the manifest names it ('/static.glb'). Full URLs
+ * (with a scheme, or protocol-relative) are left alone.
+ */
+export const assetUrl = (path, base = DEFAULT_BASE) => (
+  /^([a-z][a-z\d+.-]*:|\/\/)/i.test(path) ? path : `${withSlash(base)}${path.replace(/^\//, '')}`
+);
+
+export const AssetBaseContext = createContext(DEFAULT_BASE);
+
+/** assetUrl against the asset base of the ThreeScene this component renders in. */
+export const useAssetUrl = () => {
+  const base = useContext(AssetBaseContext);
+  return useCallback((path) => assetUrl(path, base), [base]);
+};
@@ -0,0 +1,339 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { assetUrl, useAssetUrl } from './assets.js';
+
+// Music for the room. A playlist player drives one audio source per track:
+// tracks with a `src` play through HTML5 Audio (files in public/, fetched from
+// the scene's asset base), tracks with a `videoId` play through a hidden YouTube
+// player. Every source implements the same interface:
+//
+//   load(track)        -> Promise, resolves once the track can be played
+//   play(), pause()
+//   setVolume(volume)  volume in [0, 1]
+//   destroy()
+//
+// and reports 'loading' | 'playing' | 'paused' | 'ended' | 'error' through the
+// `onStatus(status, error)` callback it was created with.
+
+// --- HTML5 Audio Source ---
+
+export const createHtmlAudioSource = (onStatus, resolveUrl = assetUrl) => {
+  const audio = new Audio();
+  audio.preload = 'auto';
+  let isLoading = false;
+
+  const events = {
+    playing: () => onStatus('playing'),
+    pause: () => !audio.ended && onStatus('paused'),
+    waiting: () => onStatus('loading'),
+    ended: () => onStatus('ended'),
+    // Errors while loading reject load() instead.
+    error: () => !isLoading && onStatus('error', new Error(`Could not play audio "${audio.src}"`)),
+  };
+  Object.entries(events).forEach(([name, handler]) => audio.addEventListener(name, handler));
+
+  return {
+    load: (track) => new Promise((resolve, reject) => {
+      const settle = (callback) => () => {
+        isLoading = false;
+        audio.removeEventListener('canplay', handleCanPlay);
+        audio.removeEventListener('error', handleError);
+        callback();
+      };
+      const handleCanPlay = settle(resolve);
+      const handleError = settle(() => reject(new Error(`Could not load audio "${track.src}"`)));
+
+      isLoading = true;
+      audio.addEventListener('canplay', handleCanPlay);
+      audio.addEventListener('error', handleError);
+      audio.src = resolveUrl(track.src);
+      audio.load();
+    }),
+    // Autoplay policies reject play() without a user gesture; report paused.
+    play: () => audio.play().catch(() => onStatus('paused')),
+    pause: () => audio.pause(),
+    setVolume: (volume) => {
+      audio.volume = volume;
+    },
+    destroy: () => {
+      audio.pause();
+      Object.entries(events).forEach(([name, handler]) => audio.removeEventListener(name, handler));
+      audio.removeAttribute('src');
+      audio.load();
+    },
+  };
+};
+
+// --- YouTube Source ---
+
+let youTubeApi = null;
+
+// Loads the IFrame API once per page, or waits for the copy a host page
+// already loads. Rejects when YouTube is blocked or offline. The API script
+// defines `YT.ready` as soon as it runs, so the page-wide
+// `onYouTubeIframeAPIReady` callback is left to the host page.
+const loadYouTubeApi = () => {
+  if (!youTubeApi) {
+    youTubeApi = new Promise((resolve, reject) => {
+      if (window.YT?.ready) {
+        window.YT.ready(() => resolve(window.YT));
+        return;
+      }
+
+      const tag = document.createElement('script');
+      tag.src = 'https://www.youtube.com/iframe_api';
+      tag.onload = () => window.YT.ready(() => resolve(window.YT));
+      tag.onerror = () => {
+        youTubeApi = null;
+        reject(new Error('Could not load the YouTube IFrame API'));
+      };
+      document.head.appendChild(tag);
+    });
+  }
+  return youTubeApi;
+};
+
+export const createYouTubeSource = (onStatus) => {
+  const container = document.createElement('div');
+  container.style.display = 'none';
+  document.body.appendChild(container);
+
+  let player = null;
+  let isReady = false;
+  let volume = 1;
+  let videoId = null;
+
+  const handleStateChange = ({ data }) => {
+    const { PlayerState } = window.YT;
+    if (data === PlayerState.PLAYING) onStatus('playing');
+    else if (data === PlayerState.PAUSED) onStatus('paused');
+    else if (data === PlayerState.BUFFERING) onStatus('loading');
+    else if (data === PlayerState.ENDED) onStatus('ended');
+  };
+
+  const createPlayer = (YT) => new Promise((resolve, reject) => {
+    const element = document.createElement('div');
+    container.appendChild(element);
+    player = new YT.Player(element, {
+      height: '0',
+      width: '0',
+      videoId,
+      playerVars: { autoplay: 0, controls: 0, modestbranding: 1 },
+      events: {
+        onReady: () => {
+          isReady = true;
+          player.setVolume(volume * 100);
+          resolve();
+        },
+        onStateChange: handleStateChange,
+        // Errors before the player is ready reject load() instead.
+        onError: ({ data }) => {
+          const error = new Error(`YouTube player error ${data} for video "${videoId}"`);
+          if (isReady) {
+            onStatus('error', error);
+          } else {
+            player.destroy();
+            player = null;
+            reject(error);
+          }
+        },
+      },
+    });
+  });
+
+  return {
+    load: async (track) => {
+      const YT = await loadYouTubeApi();
+      videoId = track.videoId;
+      if (player && isReady) {
+        player.cueVideoById(videoId);
+        return;
+      }
+      await createPlayer(YT);
+    },
+    play: () => player?.playVideo(),
+    pause: () => player?.pauseVideo(),
+    setVolume: (nextVolume) => {
+      volume = nextVolume;
+      player?.setVolume(volume * 100);
+    },
+    destroy: () => {
+      player?.destroy();
+      player = null;
+      isReady = false;
+      container.remove();
+    },
+  };
+};
+
+const SOURCE_FACTORIES = {
+  local: createHtmlAudioSource,
+  youtube: createYouTubeSource,
+};
+
+export const trackBackend = (track) => (track.videoId ? 'youtube' : 'local');
+
+// --- Playlist Player ---
+
+const shuffledOrder = (length, first) => {
+  const rest = Array.from({ length }, (_, i) => i).filter(i => i !== first);
+  for (let i = rest.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return [first, ...rest];
+};
+
+/**
+ * Plays `tracks` in order (or shuffled), advancing on end and skipping tracks
+ * that fail to load. `getState()` always reflects what the active source
+ * reported, not what was last requested. `resolveUrl` turns a track's `src`
+ * into the URL it is fetched from.
+ */
+export const createPlaylistPlayer = (tracks, { volume = 1, shuffle = false, resolveUrl = assetUrl } = {}) => {
+  const sources = {};
+  const listeners = new Set();
+  let order = shuffle ? shuffledOrder(tracks.length, 0) : tracks.map((_, i) => i);
+  let position = 0;
+  let failures = 0;
+  let hasStarted = false;
+  let wantsToPlay = false;
+  let state = { status: 'idle', track: tracks[order[0]] ?? null, index: order[0] ?? 0, volume, shuffle, error: null };
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+
+  const currentTrack = () => tracks[order[position]];
+  const currentSource = () => sources[trackBackend(currentTrack())];
+
+  const sourceFor = (track) => {
+    const backend = trackBackend(track);
+    if (!sources[backend]) {
+      sources[backend] = SOURCE_FACTORIES[backend]((status, error) => handleStatus(backend, status, error), resolveUrl);
+      sources[backend].setVolume(state.volume);
+    }
+    return sources[backend];
+  };
+
+  const loadCurrent = async (autoplay) => {
+    const track = currentTrack();
+    Object.entries(sources).forEach(([backend, source]) => backend !== trackBackend(track) && source.pause());
+    setState({ status: 'loading', track, index: order[position], error: null });
+
+    try {
+      await sourceFor(track).load(track);
+    } catch (error) {
+      if (track === currentTrack()) handleStatus(trackBackend(track), 'error', error);
+      return;
+    }
+    if (track !== currentTrack()) return;
+
+    if (autoplay || wantsToPlay) {
+      currentSource().play();
+    } else {
+      setState({ status: 'paused' });
+    }
+  };
+
+  const skip = (step, autoplay) => {
+    if (tracks.length === 0) return;
+    hasStarted = true;
+    position = (position + step + tracks.length) % tracks.length;
+    loadCurrent(autoplay);
+  };
+
+  function handleStatus(backend, status, error = null) {
+    // Ignore stray events from a backend that is no longer playing.
+    if (backend !== trackBackend(currentTrack())) return;
+
+    if (status === 'playing') failures = 0;
+    setState({ status, error: status === 'error' ? error : null });
+
+    if (status === 'ended') {
+      skip(1, true);
+    } else if (status === 'error') {
+      console.warn(error);
+      // Skip broken tracks, but stop once every track has failed in a row.
+      failures += 1;
+      if (failures < tracks.length) skip(1, wantsToPlay);
+    }
+  }
+
+  const play = () => {
+    if (tracks.length === 0) return;
+    wantsToPlay = true;
+    if (!hasStarted || state.status === 'error') {
+      failures = 0;
+      hasStarted = true;
+      loadCurrent(true);
+    } else {
+      currentSource()?.play();
+    }
+  };
+
+  const pause = () => {
+    wantsToPlay = false;
+    currentSource()?.pause();
+  };
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getState: () => state,
+    play,
+    pause,
+    // Loads the first track without playing it, so it starts at once on play().
+    preload: () => {
+      if (hasStarted || tracks.length === 0) return;
+      hasStarted = true;
+      loadCurrent(false);
+    },
+    toggle: () => (state.status === 'playing' || state.status === 'loading' ? pause() : play()),
+    next: () => skip(1, wantsToPlay),
+    previous: () => skip(-1, wantsToPlay),
+    setVolume: (nextVolume) => {
+      Object.values(sources).forEach(source => source.setVolume(nextVolume));
+      setState({ volume: nextVolume });
+    },
+    setShuffle: (enabled) => {
+      order = enabled ? shuffledOrder(tracks.length, order[position]) : tracks.map((_, i) => i);
+      position = order.indexOf(state.index);
+      setState({ shuffle: enabled });
+    },
+    // Tears down every source; the player can start again afterwards.
+    destroy: () => {
+      Object.keys(sources).forEach(backend => {
+        sources[backend].destroy();
+        delete sources[backend];
+      });
+      hasStarted = false;
+      wantsToPlay = false;
+      setState({ status: 'idle', error: null });
+    },
+  };
+};
+
+// --- React Hook ---
+
+/**
+ * Creates a playlist player for the manifest's `audio` section. With `preload`
+ * the first track starts loading on mount.
+ */
+export const useAudioPlayer = (audio, { preload = false } = {}) => {
+  const resolveUrl = useAssetUrl();
+  const player = useMemo(
+    () => createPlaylistPlayer(audio?.tracks ?? [], { volume: audio?.volume, shuffle: audio?.shuffle, resolveUrl }),
+    [audio, resolveUrl],
+  );
+
+  useEffect(() => {
+    if (preload) player.preload();
+    return () => player.destroy();
+  }, [player, preload]);
+
+  const state = useSyncExternalStore(player.subscribe, player.getState);
+  return { ...player, state };
+};
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, test } from 'node:test';
+import { createPlaylistPlayer } from './audioPlayer.js';
+
+// Stands in for the browser's Audio element: loads on the next tick, failing
+// for any file named "broken*", and plays as soon as it is asked to.
+class FakeAudio extends EventTarget {
+  static last = null;
+
+  constructor() {
+    super();
+    this.src = '';
+    this.ended = false;
+    FakeAudio.last = this;
+  }
+
+  load() {
+    if (!this.src) return;
+    this.ended = false;
+    setTimeout(() => this.dispatchEvent(new Event(this.src.includes('broken') ? 'error' : 'canplay')));
+  }
+
+  play() {
+    this.dispatchEvent(new Event('playing'));
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.dispatchEvent(new Event('pause'));
+  }
+
+  finish() {
+    this.ended = true;
+    this.dispatchEvent(new Event('ended'));
+  }
+
+  removeAttribute() {
+    this.src = '';
+  }
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 5));
+
+const tracks = ['a', 'b', 'c', 'd'].map(name => ({ title: name, src: `music/${name}.mp3` }));
+const titleOf = (player) => player.getState().track.title;
+
+let warn;
+beforeEach(() => {
+  globalThis.Audio = FakeAudio;
+  // Failed tracks are logged; keep the test output clean.
+  warn = console.warn;
+  console.warn = () => {};
+});
+afterEach(() => {
+  delete globalThis.Audio;
+  console.warn = warn;
+});
+
+test('tracks play in order and wrap around at the end', async () => {
+  const player = createPlaylistPlayer(tracks);
+  player.play();
+  await settle();
+  assert.equal(player.getState().status, 'playing');
+
+  const played = [titleOf(player)];
+  for (let i = 0; i < tracks.length; i += 1) {
+    FakeAudio.last.finish();
+    await settle();
+    played.push(titleOf(player));
+  }
+  assert.deepEqual(played, ['a', 'b', 'c', 'd', 'a']);
+  player.destroy();
+});
+
+test('next and previous step through the playlist in both directions', async () => {
+  const player = createPlaylistPlayer(tracks);
+  player.previous();
+  await settle();
+  assert.equal(titleOf(player), 'd');
+  assert.equal(player.getState().status, 'paused');
+
+  player.next();
+  player.next();
+  await settle();
+  assert.equal(titleOf(player), 'b');
+  player.destroy();
+});
+
+test('tracks that fail to load are skipped', async () => {
+  const player = createPlaylistPlayer([tracks[0], { title: 'broken', src: 'music/broken.mp3' }, tracks[2]]);
+  player.play();
+  await settle();
+  player.next();
+  await settle();
+  assert.equal(titleOf(player), 'c');
+  assert.equal(player.getState().status, 'playing');
+  player.destroy();
+});
+
+test('the player stops once every track has failed in a row', async () => {
+  const broken = [1, 2, 3].map(n => ({ title: `broken ${n}`, src: `music/broken-${n}.mp3` }));
+  const player = createPlaylistPlayer(broken);
+  player.play();
+  await settle();
+  await settle();
+  assert.equal(player.getState().status, 'error');
+  assert.equal(titleOf(player), 'broken 3');
+  player.destroy();
+});
+
+test('shuffle plays every track once, starting with the first', async (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  const player = createPlaylistPlayer(tracks, { shuffle: true });
+  player.play();
+  await settle();
+
+  const played = [titleOf(player)];
+  for (let i = 1; i < tracks.length; i += 1) {
+    FakeAudio.last.finish();
+    await settle();
+    played.push(titleOf(player));
+  }
+  assert.deepEqual(played, ['a', 'c', 'd', 'b']);
+  player.destroy();
+});
+
+test('turning shuffle off returns to playlist order from the current track', async () => {
+  const player = createPlaylistPlayer(tracks);
+  player.next();
+  await settle();
+  player.setShuffle(true);
+  player.setShuffle(false);
+  player.next();
+  await settle();
+  assert.equal(titleOf(player), 'c');
+  player.destroy();
+});
@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+
+// Renders the current view at a chosen resolution, independent of the window,
+// for stills and for loops recorded frame by frame on the scene clock.
+
+// Output sizes offered in the capture menu, in pixels. `window` is the size
+// the canvas has on screen (its container, not necessarily the whole window),
+// at the device's pixel ratio.
+export const CAPTURE_SIZES = {
+  window: { label: 'Window' },
+  '1080p': { label: '1080p', width: 1920, height: 1080 },
+  '1440p': { label: '1440p', width: 2560, height: 1440 },
+  '4k': { label: '4K', width: 3840, height: 2160 },
+};
+
+export const RECORDING_FORMATS = {
+  webm: { label: 'WebM', extension: 'webm' },
+  png: { label: 'PNG frames', extension: 'tar' },
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const TAU = Math.PI * 2;
+
+/** `screen` is the canvas's size in CSS pixels, used for the `window` size. */
+export const resolveCaptureSize = (size, screen) => {
+  const { width, height } = CAPTURE_SIZES[size];
+  if (width) return { width, height };
+  const pixelRatio = window.devicePixelRatio || 1;
+  return { width: Math.round(screen.width * pixelRatio), height: Math.round(screen.height * pixelRatio) };
+};
+
+/** True when the browser can record WebM from a canvas. */
+export const canRecordWebm = () => (
+  typeof MediaRecorder !== 'undefined' && WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type))
+);
+
+/** Resolves after `count` rendered frames, so pending React updates reach the canvas. */
+export const waitForFrames = async (count = 2) => {
+  for (let frame = 0; frame < count; frame += 1) {
+    await new Promise(resolve => requestAnimationFrame(resolve));
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Scales a size down to fit the GPU's largest render target, keeping its aspect.
+const fitRenderSize = (gl, width, height) => {
+  const max = Math.min(gl.capabilities.maxTextureSize, gl.getContext().getParameter(gl.getContext().MAX_RENDERBUFFER_SIZE));
+  const scale = Math.min(1, max / Math.max(width, height));
+  return { width: Math.floor(width * scale), height: Math.floor(height * scale) };
+};
+
+// Resizes the renderer, the composer's buffers and the orthographic frustum to
+// `width` × `height` for the duration of `callback`, then puts them back. The
+// frustum keeps its vertical extent, so a wider image shows more at the sides
+// rather than cropping the top and bottom.
+const withRenderSize = async ({ gl, camera, composer }, width, height, callback) => {
+  const pixelRatio = gl.getPixelRatio();
+  const size = gl.getSize(new THREE.Vector2());
+  const frustum = { left: camera.left, right: camera.right };
+  const setSize = (w, h) => (composer ? composer.setSize(w, h, false) : gl.setSize(w, h, false));
+
+  gl.setPixelRatio(1);
+  setSize(width, height);
+  if (camera.isOrthographicCamera) {
+    const halfWidth = ((camera.top - camera.bottom) / 2) * (width / height);
+    camera.left = -halfWidth;
+    camera.right = halfWidth;
+    camera.updateProjectionMatrix();
+  }
+
+  try {
+    return await callback();
+  } finally {
+    gl.setPixelRatio(pixelRatio);
+    setSize(size.x, size.y);
+    if (camera.isOrthographicCamera) {
+      Object.assign(camera, frustum);
+      camera.updateProjectionMatrix();
+    }
+  }
+};
+
+// The canvas background is CSS (a sky gradient or a flat color) behind a
+// transparent WebGL canvas, so opaque captures paint it in first.
+const drawFrame = (context, source, background) => {
+  const { width, height } = context.canvas;
+  context.clearRect(0, 0, width, height);
+  if (background) {
+    const gradient = context.createLinearGradient(0, 0, 0, height);
+    background.forEach((color, index) => gradient.addColorStop(background.length > 1 ? index / (background.length - 1) : 0, color));
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(source, 0, 0, width, height);
+};
+
+const createFrameCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const toPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the frame'))), 'image/png');
+});
+
+// --- Tar ---
+// PNG sequences are packed into one uncompressed tar so the browser saves a
+// single file instead of prompting for hundreds of downloads.
+const TAR_BLOCK = 512;
+
+const tarHeader = (name, size) => {
+  const header = new Uint8Array(TAR_BLOCK);
+  const write = (text, offset) => header.set(new TextEncoder().encode(text), offset);
+  const octal = (value, length) => `${value.toString(8).padStart(length - 1, '0')}\0`;
+
+  write(name, 0);
+  write(octal(0o644, 8), 100);
+  write(octal(0, 8), 108);
+  write(octal(0, 8), 116);
+  write(octal(size, 12), 124);
+  write(octal(Math.floor(Date.now() / 1000), 12), 136);
+  write('        ', 148);
+  write('0', 156);
+  write('ustar\u000000', 257);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+};
+
+const createTar = (files) => new Blob([
+  ...files.flatMap(({ name, blob }) => [
+    tarHeader(name, blob.size),
+    blob,
+    new Uint8Array((TAR_BLOCK - (blob.size % TAR_BLOCK)) % TAR_BLOCK),
+  ]),
+  new Uint8Array(TAR_BLOCK * 2),
+], { type: 'application/x-tar' });
+
+// --- WebM ---
+// Frames are pushed to the recorder one at a time and spaced 1/fps apart in
+// real time, since MediaRecorder timestamps frames by the wall clock.
+const createWebmWriter = (canvas, fps) => {
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) });
+  const chunks = [];
+  recorder.ondataavailable = (event) => chunks.push(event.data);
+  recorder.start();
+
+  return {
+    addFrame: async () => {
+      track.requestFrame();
+      await wait(1000 / fps);
+    },
+    finish: () => new Promise(resolve => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+      recorder.stop();
+      track.stop();
+    }),
+  };
+};
+
+const createPngWriter = (canvas, frameCount) => {
+  const files = [];
+  const digits = String(frameCount - 1).length;
+  return {
+    addFrame: async () => {
+      files.push({ name: `frame-${String(files.length).padStart(digits, '0')}.png`, blob: await toPng(canvas) });
+    },
+    finish: async () => createTar(files),
+  };
+};
+
+const renderComposer = ({ gl, scene, camera, composer }) => (composer ? composer.render(0) : gl.render(scene, camera));
+
+/**
+ * Renders one frame of the current view, post-processing included, and
+ * returns it as a PNG. `background` is the list of sky colors from top to
+ * bottom; leave it out for a transparent image.
+ */
+export const captureScreenshot = async (three, { width, height, background }) => {
+  const size = fitRenderSize(three.gl, width, height);
+  const canvas = createFrameCanvas(size.width, size.height);
+
+  await withRenderSize(three, size.width, size.height, () => {
+    renderComposer(three);
+    // Read the drawing buffer before the browser presents and clears it.
+    drawFrame(canvas.getContext('2d'), three.gl.domElement, background);
+  });
+  return toPng(canvas);
+};
+
+/**
+ * Records `duration` seconds of the scene at `fps`, one rendered frame per
+ * fixed step of the scene clock, so every frame is exact however long it
+ * takes to render. With `turntable` the camera also circles its target once
+ * over the loop. The clock, camera and render loop are put back afterwards.
+ * `format` is 'webm' or 'png' (a tar of numbered frames). `three` carries the
+ * scene's clock as `sceneClock` next to the canvas state.
+ */
+export const recordLoop = async (three, { width, height, background, duration, fps, format, turntable, onProgress }) => {
+  const { get, camera, controls, sceneClock } = three;
+  const size = fitRenderSize(three.gl, width, height);
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const canvas = createFrameCanvas(size.width, size.height);
+  const context = canvas.getContext('2d');
+  const writer = format === 'webm' ? createWebmWriter(canvas, fps) : createPngWriter(canvas, frameCount);
+
+  const clock = sceneClock.getSnapshot();
+  const cameraPosition = camera.position.clone();
+  const target = controls?.target.clone() ?? new THREE.Vector3();
+  const offset = cameraPosition.clone().sub(target);
+
+  // advance() takes an absolute time on R3F's clock and hands every useFrame
+  // the difference from its last reading as the delta, so frames count on
+  // from where the clock is rather than from 0.
+  const startElapsed = get().clock.elapsedTime;
+  get().setFrameloop('never');
+  sceneClock.setTimeScale(1);
+  sceneClock.setFixedStep(fps);
+  sceneClock.play();
+
+  try {
+    await withRenderSize(three, size.width, size.height, async () => {
+      for (let frame = 0; frame < frameCount; frame += 1) {
+        if (turntable) {
+          camera.position.copy(target).add(offset.clone().applyAxisAngle(THREE.Object3D.DEFAULT_UP, (TAU * frame) / frameCount));
+          camera.lookAt(target);
+        }
+        get().advance(startElapsed + (frame + 1) / fps);
+        drawFrame(context, three.gl.domElement, background);
+        await writer.addFrame();
+        onProgress?.((frame + 1) / frameCount);
+      }
+    });
+  } finally {
+    camera.position.copy(cameraPosition);
+    camera.lookAt(target);
+    sceneClock.seek(clock.time);
+    sceneClock.setTimeScale(clock.timeScale);
+    sceneClock.setFixedStep(clock.fixedStep ? 1 / clock.fixedStep : null);
+    if (!clock.playing) sceneClock.pause();
+    get().setFrameloop('always');
+  }
+
+  return writer.finish();
+};
@@ -0,0 +1,99 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { useSceneClock } from './sceneClock.js';
+
+// Animation clips authored in Blender and exported with the GLB (armatures,
+// shape keys, object keyframes). They run on the scene clock: pausing or
+// slowing the clock does the same to them, and seeking jumps them to the
+// clock's time.
+
+export const LOOP_MODES = {
+  repeat: THREE.LoopRepeat,
+  once: THREE.LoopOnce,
+  pingpong: THREE.LoopPingPong,
+};
+
+// Clip names come from the manifest, which can't see inside the GLB, so a
+// missing clip is reported rather than treated as an error.
+const findClip = (clips, name, path) => {
+  const clip = THREE.AnimationClip.findByName(clips, name);
+  if (!clip) {
+    console.warn(`${path}: no animation clip "${name}" (clips: ${clips.map(each => each.name).join(', ') || 'none'})`);
+  }
+  return clip;
+};
+
+const autoplayClips = (autoplay, clips, path) => {
+  if (autoplay === 'all') {
+    if (clips.length === 0) console.warn(`${path}: autoplay is "all" but the file has no animation clips`);
+    return clips;
+  }
+  return [autoplay ?? []].flat().map(name => findClip(clips, name, path)).filter(Boolean);
+};
+
+/**
+ * Plays a GLB's `animations` on `root`.
+ *   autoplay   clip name, list of names or 'all', started on mount
+ *   loop       loop mode of the autoplayed clips (see LOOP_MODES)
+ *   crossFade  seconds to blend between clips
+ *   request    { name, id } asks for a clip once per new `id`: running clips
+ *              fade out, it plays once, then the autoplayed clips fade back in
+ *   active     false holds every clip on its current frame
+ *
+ * Returns the clip names found in the file.
+ */
+export const useClips = (root, clips, { autoplay, loop = 'repeat', crossFade = 0.3, request, active = true, path } = {}) => {
+  const mixer = useMemo(() => new THREE.AnimationMixer(root), [root]);
+  const names = useMemo(() => clips.map(clip => clip.name), [clips]);
+
+  useEffect(() => {
+    autoplayClips(autoplay, clips, path).forEach(clip => {
+      mixer.clipAction(clip).reset().setLoop(LOOP_MODES[loop], Infinity).play();
+    });
+
+    return () => {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(root);
+    };
+  }, [mixer, clips, autoplay, loop, root, path]);
+
+  useEffect(() => {
+    if (!request) return;
+    const clip = findClip(clips, request.name, path);
+    if (!clip) return;
+
+    const action = mixer.clipAction(clip);
+    const autoplayed = autoplayClips(autoplay, clips, path);
+    clips
+      .map(clip => mixer.existingAction(clip))
+      .filter(running => running && running !== action && running.isRunning())
+      .forEach(running => running.fadeOut(crossFade));
+    action.reset().setLoop(THREE.LoopOnce, 1).fadeIn(crossFade).play();
+    action.clampWhenFinished = autoplayed.length === 0;
+
+    const handleFinished = (event) => {
+      if (event.action !== action) return;
+      autoplayed.forEach(clip => {
+        mixer.clipAction(clip).reset().setLoop(LOOP_MODES[loop], Infinity).fadeIn(crossFade).play();
+      });
+      if (autoplayed.length > 0) action.fadeOut(crossFade);
+    };
+    mixer.addEventListener('finished', handleFinished);
+    return () => mixer.removeEventListener('finished', handleFinished);
+  }, [mixer, clips, autoplay, loop, crossFade, request, path]);
+
+  const clock = useSceneClock();
+  const seekCount = useRef(clock.getSeekCount());
+
+  useFrame(() => {
+    if (seekCount.current !== clock.getSeekCount()) {
+      seekCount.current = clock.getSeekCount();
+      mixer.setTime(clock.getTime());
+    } else if (active) {
+      mixer.update(clock.getDelta());
+    }
+  });
+
+  return names;
+};
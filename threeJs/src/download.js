@@ -0,0 +1,11 @@
+/** Saves a Blob through a temporary link. */
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadFile = (filename, contents, type) => downloadBlob(filename, new Blob([contents], { type }));
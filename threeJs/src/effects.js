@@ -0,0 +1,76 @@
+import { Bloom, BrightnessContrast, DepthOfField, HueSaturation, SMAA, ToneMapping, Vignette } from '@react-three/postprocessing';
+import { isQualityAtLeast } from './quality.js';
+
+// Tone mapping operators by name, as numbered in postprocessing's ToneMappingMode.
+export const toneMappingModes = {
+  linear: 0,
+  reinhard: 1,
+  reinhard2: 2,
+  reinhard2Adaptive: 3,
+  uncharted2: 4,
+  cineon: 5,
+  acesFilmic: 6,
+  agx: 7,
+  neutral: 8,
+};
+
+/**
+ * Post-processing effects a scene manifest can list under
+ * `postprocessing.effects`.
+ *   component   effect from @react-three/postprocessing
+ *   minQuality  lowest quality level the effect runs at, unless the manifest
+ *   maxQuality  (and highest) overrides it
+ *   fields      manifest parameters passed on as props
+ *   toProps     optional mapping from manifest parameters to props
+ */
+export const effectTypes = {
+  hueSaturation: {
+    component: HueSaturation,
+    minQuality: 'low',
+    fields: { hue: 'number', saturation: 'number' },
+  },
+  brightnessContrast: {
+    component: BrightnessContrast,
+    minQuality: 'low',
+    fields: { brightness: 'number', contrast: 'number' },
+  },
+  bloom: {
+    component: Bloom,
+    minQuality: 'medium',
+    fields: { intensity: 'number', luminanceThreshold: 'number', luminanceSmoothing: 'number', mipmapBlur: 'boolean' },
+  },
+  // Cheap anti-aliasing for the levels without enough MSAA samples.
+  smaa: {
+    component: SMAA,
+    minQuality: 'low',
+    maxQuality: 'medium',
+    fields: {},
+  },
+  toneMapping: {
+    component: ToneMapping,
+    minQuality: 'low',
+    fields: { mode: 'string', whitePoint: 'number', middleGrey: 'number' },
+    toProps: ({ mode, ...props }) => (mode === undefined ? props : { ...props, mode: toneMappingModes[mode] }),
+  },
+  vignette: {
+    component: Vignette,
+    minQuality: 'high',
+    fields: { offset: 'number', darkness: 'number' },
+  },
+  depthOfField: {
+    component: DepthOfField,
+    minQuality: 'high',
+    fields: { focusDistance: 'number', focalLength: 'number', bokehScale: 'number' },
+  },
+};
+
+/**
+ * Whether a normalized manifest effect runs at `quality`. Types in
+ * `skipEffects` are dropped by the performance governor.
+ */
+export const isEffectActive = (effect, quality, skipEffects = []) => (
+  effect.enabled
+  && !skipEffects.includes(effect.type)
+  && isQualityAtLeast(quality, effect.minQuality)
+  && isQualityAtLeast(effect.maxQuality, quality)
+);
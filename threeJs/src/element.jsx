@@ -0,0 +1,133 @@
+import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import ThreeScene from './ThreeScene.jsx';
+import { UI_PANELS } from './panels.js';
+
+// --- <three-scene> Custom Element ---
+// The scene for pages without React. This is the entry of the standalone
+// library build, which bundles React and three with it:
+//
+//   <script type="module" src="https://example.com/room/three-scene-element.js"></script>
+//   <three-scene asset-base="https://example.com/room/" initial-view="side" ui="camera,music"></three-scene>
+//
+// Attributes mirror ThreeScene's props:
+//   scene          name of a bundled manifest
+//   initial-view   camera view to open on
+//   asset-base     URL the app's public/ files are served from
+//   audio          "false" leaves the music out
+//   overlay        "false" skips the splash screen
+//   ui             "none", or a comma-separated list of panels to show
+//   quality        quality level to start on: "low", "medium" or "high"
+//   weather        weather to pin instead of following the feed
+//   hour           time of day to pin, 0-24
+//   stats          present to start with the stats overlay shown
+//   editor         present to show the material editor
+// A manifest object of your own goes in the `manifest` property instead. The
+// element never reads the URL of the page it is on.
+//
+// Scene events are dispatched on the element as `ready`, `objectclick` and
+// `viewchange` CustomEvents, with the callback's argument as `detail`.
+
+const TAG_NAME = 'three-scene';
+
+// Sized like any block by the page; the default height keeps it visible.
+const HOST_STYLE = ':host { display: block; position: relative; height: 480px; } :host([hidden]) { display: none; }';
+
+const parseHour = (value) => (value === null || value.trim() === '' || !Number.isFinite(Number(value)) ? undefined : Number(value));
+
+const parseUi = (value) => {
+  if (value === null) return true;
+  if (value.trim() === 'none') return false;
+  const shown = value.split(',').map(panel => panel.trim());
+  return Object.fromEntries(UI_PANELS.map(panel => [panel, shown.includes(panel)]));
+};
+
+class ThreeSceneElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['scene', 'initial-view', 'asset-base', 'audio', 'overlay', 'ui', 'quality', 'weather', 'hour', 'stats', 'editor'];
+  }
+
+  constructor() {
+    super();
+    // The shadow root keeps the page's CSS off the overlays and theirs off it.
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = HOST_STYLE;
+    this.container = document.createElement('div');
+    this.container.style.cssText = 'width: 100%; height: 100%;';
+    shadow.append(style, this.container);
+
+    this.root = null;
+    this.sceneManifest = null;
+    this.manifestVersion = 0;
+  }
+
+  get manifest() {
+    return this.sceneManifest;
+  }
+
+  set manifest(value) {
+    this.sceneManifest = value;
+    this.manifestVersion += 1;
+    this.render();
+  }
+
+  connectedCallback() {
+    if (!this.root) this.root = createRoot(this.container);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  emit(type) {
+    return (detail = {}) => this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  render() {
+    if (!this.root) return;
+
+    const scene = this.getAttribute('scene') ?? undefined;
+    const assetBase = this.getAttribute('asset-base') ?? undefined;
+    const initialView = this.getAttribute('initial-view') ?? undefined;
+    const quality = this.getAttribute('quality') ?? undefined;
+    const weather = this.getAttribute('weather') ?? undefined;
+    const hour = parseHour(this.getAttribute('hour'));
+    const stats = this.hasAttribute('stats');
+    // ThreeScene reads these once, so changing one mounts a fresh scene.
+    const key = JSON.stringify([scene, assetBase, initialView, quality, weather, hour, stats, this.manifestVersion]);
+
+    this.root.render(
+      <StrictMode>
+        <ThreeScene
+          key={key}
+          scene={scene}
+          manifest={this.sceneManifest ?? undefined}
+          assetBase={assetBase}
+          initialView={initialView}
+          audio={this.getAttribute('audio') !== 'false'}
+          overlay={this.getAttribute('overlay') !== 'false'}
+          ui={parseUi(this.getAttribute('ui'))}
+          quality={quality}
+          weather={weather}
+          hour={hour}
+          stats={stats}
+          editor={this.hasAttribute('editor')}
+          onReady={this.emit('ready')}
+          onObjectClick={this.emit('objectclick')}
+          onViewChange={this.emit('viewchange')}
+        />
+      </StrictMode>,
+    );
+  }
+}
+
+if (!customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, ThreeSceneElement);
+}
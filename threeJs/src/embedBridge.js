@@ -0,0 +1,43 @@
+// Lets a page that shows the app in an iframe follow what happens in it. Each
+// scene event is posted to the parent window as
+//
+//   { source: 'three-scene', type: 'ready' | 'objectclick' | 'viewchange', detail }
+//
+// with the same `detail` the matching ThreeScene callback gets. Events carry
+// what the visitor clicks on, so they are only posted to the origin the host
+// names with `?parentOrigin=` in the iframe's URL; without one nothing is sent.
+
+export const MESSAGE_SOURCE = 'three-scene';
+
+export const isFramed = () => window.parent !== window;
+
+// An origin is a scheme, host and port, like "https://host.example"; '*' and
+// full URLs are refused.
+const isOrigin = (value) => {
+  try {
+    return new URL(value).origin === value;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * ThreeScene callbacks that forward every event to the parent window at
+ * `targetOrigin`. Returns no callbacks, with a warning, when the origin is
+ * missing or not a plain origin.
+ */
+export const parentBridge = (targetOrigin) => {
+  if (!isOrigin(targetOrigin)) {
+    console.warn(`[embed] scene events are not posted to the parent page: add ?parentOrigin=<its origin> to the iframe URL (got ${JSON.stringify(targetOrigin ?? null)})`);
+    return {};
+  }
+
+  const post = (type) => (detail = {}) => {
+    window.parent.postMessage({ source: MESSAGE_SOURCE, type, detail }, targetOrigin);
+  };
+  return {
+    onReady: post('ready'),
+    onObjectClick: post('objectclick'),
+    onViewChange: post('viewchange'),
+  };
+};
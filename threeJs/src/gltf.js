@@ -0,0 +1,60 @@
+import { createContext, useContext } from 'react';
+import { useGLTF } from '@react-three/drei';
+import { useThree } from '@react-three/fiber';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { clone } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { useAssetUrl } from './assets.js';
+
+// GLB loading with every compression the asset pipeline produces: Draco or
+// Meshopt geometry and KTX2 (Basis Universal) textures. The Draco and Basis
+// decoders are served from /decoders/ by the Vite config rather than a CDN;
+// the Meshopt decoder ships inside the bundle. Models and decoders are fetched
+// from the asset base (see src/assets.js); `path` itself stays as the manifest
+// wrote it, since material rules and the info card match on it.
+
+let ktx2Loader = null;
+
+// One transcoder for the whole page; it picks a GPU texture format the
+// renderer supports, so it needs the renderer the first time.
+const getKtx2Loader = (gl, transcoderPath) => {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(transcoderPath).detectSupport(gl);
+  }
+  return ktx2Loader;
+};
+
+/** useGLTF with local Draco, Meshopt and KTX2 decoders. Call inside the Canvas. */
+export const useCompressedGLTF = (path) => {
+  const gl = useThree(state => state.gl);
+  const url = useAssetUrl();
+  return useGLTF(url(path), url('/decoders/draco/'), true, loader => loader.setKTX2Loader(getKtx2Loader(gl, url('/decoders/basis/'))));
+};
+
+// --- Scene Copies ---
+// useGLTF caches one scene per file for the whole page, and a three.js object
+// can only be in one scene. Each ThreeScene therefore mounts its own copy of
+// every model, kept in a WeakMap it provides through ModelCopiesContext, so
+// two scenes showing the same GLB don't take its meshes and materials from
+// each other. Copies share geometry and textures with the cached original.
+
+export const ModelCopiesContext = createContext(null);
+
+/** This ThreeScene's copy of a GLB, as { scene, animations }. Call inside the Canvas. */
+export const useSceneModel = (path) => {
+  const gltf = useCompressedGLTF(path);
+  const copies = useContext(ModelCopiesContext);
+  if (!copies.has(gltf)) copies.set(gltf, { scene: clone(gltf.scene), animations: gltf.animations });
+  return copies.get(gltf);
+};
+
+// What stands in for a model that fails to load: a wireframe box where it
+// would have been, or nothing.
+export const MODEL_FALLBACKS = ['box', 'none'];
+
+/** Logs every model that failed to load, with the loader's reason. */
+export const logModelReport = (failures, total) => {
+  console.group(`[models] ${failures.length} of ${total} failed to load`);
+  console.table(failures.map(({ id, path, error }) => ({ id, path, reason: error?.message ?? String(error) })));
+  failures.forEach(({ id, error }) => console.error(`${id}:`, error));
+  console.groupEnd();
+};
@@ -0,0 +1,28 @@
+// Custom properties set in Blender ("Custom Properties" exported as glTF extras)
+// land in `userData`. These are the ones the info card understands.
+const METADATA_FIELDS = ['title', 'description', 'link'];
+
+/**
+ * Collects what the info card shows for a picked mesh. Metadata is read from
+ * the mesh first, then from its parent nodes, so extras can be set on either
+ * the mesh or the group it belongs to. `clips` are the animation clip names
+ * in the mesh's GLB.
+ */
+export const describeObject = (object, path, clips = []) => {
+  const metadata = {};
+  for (let node = object; node; node = node.parent) {
+    METADATA_FIELDS.forEach(field => {
+      if (metadata[field] === undefined && typeof node.userData[field] === 'string') {
+        metadata[field] = node.userData[field];
+      }
+    });
+  }
+
+  return {
+    name: object.name || '(unnamed)',
+    path,
+    preset: object.material?.userData?.preset ?? null,
+    clips,
+    ...metadata,
+  };
+};
@@ -0,0 +1,29 @@
+// Hotspots turn meshes into switches. A hotspot matches clicked meshes by
+// manifest model id, mesh/node name, `tag` custom property or material preset,
+// and runs one of the actions below. Lights, models and emissive presets that
+// name the hotspot as their `switch` follow its on/off state.
+
+/** Whether a mesh of model `modelId` fits a manifest `match` (hotspots, physics). */
+export const matchesMesh = ({ model, meshName, tag, preset }, object, modelId) => {
+  const nodes = [];
+  for (let node = object; node; node = node.parent) nodes.push(node);
+
+  return (!model || model === modelId) &&
+    (!meshName || nodes.some(node => node.name === meshName)) &&
+    (!tag || nodes.some(node => node.userData.tag === tag)) &&
+    (!preset || object.material?.userData?.preset === preset);
+};
+
+/** First hotspot (in manifest order) whose `match` fits the clicked mesh. */
+export const findHotspot = (hotspots, object, modelId) =>
+  hotspots.find(hotspot => matchesMesh(hotspot.match, object, modelId)) ?? null;
+
+// Action name -> handler. `context` carries the scene callbacks an action may use.
+export const hotspotActions = {
+  toggle: (hotspot, { toggleSwitch }) => toggleSwitch(hotspot.id),
+  music: (hotspot, { togglePlayback }) => togglePlayback(),
+  clip: (hotspot, { playClip }) => playClip(hotspot.target, hotspot.clip),
+};
+
+export const initialSwitches = (hotspots) =>
+  Object.fromEntries(hotspots.filter(hotspot => hotspot.action === 'toggle').map(hotspot => [hotspot.id, hotspot.initial]));
@@ -0,0 +1,8 @@
+// Entry of the library build (`npm run build:lib`): the scene as a React
+// component, for apps that already have React, three and react-three-fiber.
+// The <three-scene> custom element has its own entry, src/element.jsx.
+
+export { default as ThreeScene } from './ThreeScene.jsx';
+export { UI_PANELS } from './panels.js';
+export { DEFAULT_SCENE, SceneManifestError, validateSceneManifest } from './sceneManifest.js';
+export { MESSAGE_SOURCE } from './embedBridge.js';
@@ -0,0 +1,66 @@
+import { useEffect, useState } from 'react';
+import { useProgress } from '@react-three/drei';
+
+// Everything the room needs before it is worth entering: the GLBs, the HDR
+// environment and any textures (all loaded through three's default loading
+// manager), and the first music track.
+
+const AUDIO_SETTLED = ['paused', 'playing', 'ended', 'error'];
+
+// Seconds the music may keep the room closed once the scene is ready. A
+// YouTube API request that hangs never reports an error, so it can't be
+// waited on for good.
+const MUSIC_WAIT = 5;
+
+const fileName = (url) => decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+
+/**
+ * Combines asset progress into what the loading screen shows.
+ *   sceneReady     every model has loaded or failed, and the canvas rendered
+ *   sceneError     error that took down the whole scene (e.g. the environment)
+ *   modelFailures  [{ id, path, error }] for models replaced by their fallback
+ *   music          the audio player (its first track is preloaded)
+ *
+ * Returns { progress (0-1), item, ready, errors, warnings }. Only a scene
+ * error keeps the room closed; a failed model or music track is a warning,
+ * and music still loading MUSIC_WAIT seconds after the scene is ready is let
+ * through (it starts whenever it can).
+ */
+export const useLoadingStatus = ({ sceneReady, sceneError, modelFailures = [], music }) => {
+  const { loaded, total, item, errors: failedUrls } = useProgress();
+
+  const hasMusic = music.state.track !== null;
+  const musicSettled = !hasMusic || AUDIO_SETTLED.includes(music.state.status);
+  const musicError = hasMusic && music.state.status === 'error' ? music.state.error : null;
+  const [musicTimedOut, setMusicTimedOut] = useState(false);
+
+  useEffect(() => {
+    if (!sceneReady || musicSettled) return;
+    const timeout = setTimeout(() => setMusicTimedOut(true), MUSIC_WAIT * 1000);
+    return () => clearTimeout(timeout);
+  }, [sceneReady, musicSettled]);
+
+  const items = total + (hasMusic ? 1 : 0);
+  const done = loaded + (hasMusic && musicSettled ? 1 : 0);
+  const ready = sceneReady && (musicSettled || musicTimedOut) && !sceneError;
+
+  // Failed models already explain their own file; other failed requests
+  // (textures of a .gltf, the environment) are listed by name.
+  const failedModels = modelFailures.map(({ path }) => fileName(path));
+  const otherFailures = failedUrls.map(fileName).filter(name => !failedModels.includes(name));
+
+  return {
+    // Loaders only register once they start, so hold short of full until the
+    // scene has actually rendered.
+    progress: ready ? 1 : Math.min(items > 0 ? done / items : 0, 0.99),
+    item: !ready && item ? fileName(item) : null,
+    ready,
+    errors: sceneError ? [...otherFailures.map(name => `Could not load ${name}`), sceneError.message] : [],
+    warnings: [
+      ...failedModels.map(name => `${name} could not be loaded`),
+      ...(sceneError ? [] : otherFailures.map(name => `Could not load ${name}`)),
+      ...(musicError ? [`Music unavailable: ${musicError.message}`] : []),
+      ...(musicTimedOut && !musicSettled ? ['Music is still loading'] : []),
+    ],
+  };
+};
@@ -0,0 +1,135 @@
+import materials from './materials.js';
+import materialRules, { HEX_TOLERANCE } from './materialRules.js';
+
+// --- Matching Helpers ---
+
+const globToRegExp = (glob) => new RegExp(
+  `^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+  'i',
+);
+
+const hexDistance = (a, b) => {
+  const left = parseInt(a, 16);
+  const right = parseInt(b, 16);
+  return Math.max(
+    Math.abs((left >> 16) - (right >> 16)),
+    Math.abs(((left >> 8) & 0xff) - ((right >> 8) & 0xff)),
+    Math.abs((left & 0xff) - (right & 0xff)),
+  );
+};
+
+// Names of the mesh and every parent node up to the GLB root.
+const nodeNames = (mesh) => {
+  const names = [];
+  for (let node = mesh; node; node = node.parent) {
+    if (node.name) names.push(node.name);
+  }
+  return names;
+};
+
+const compileRule = (rule, index) => {
+  if (!materials[rule.preset]) {
+    throw new Error(`materialRules[${index}]: unknown preset "${rule.preset}"`);
+  }
+
+  const nameGlob = rule.name && globToRegExp(rule.name);
+  const pathGlob = rule.path && globToRegExp(rule.path);
+  const hex = rule.hex?.replace(/^#/, '').toLowerCase();
+  const tolerance = rule.tolerance ?? 0;
+
+  return {
+    ...rule,
+    index,
+    test: ({ path, names, materialName, materialHex }) =>
+      (!rule.materialName || rule.materialName === materialName) &&
+      (!rule.meshName || names.includes(rule.meshName)) &&
+      (!nameGlob || [...names, materialName].some(name => nameGlob.test(name))) &&
+      (!pathGlob || pathGlob.test(path)) &&
+      (!hex || (materialHex !== undefined && hexDistance(hex, materialHex) <= tolerance)),
+  };
+};
+
+// --- Resolver ---
+
+/**
+ * Builds a resolver over an ordered rule list. The preset-derived hex rules
+ * are appended last so explicit rules always take precedence over color.
+ */
+export const createMaterialResolver = (rules = materialRules, { hexTolerance = HEX_TOLERANCE } = {}) => {
+  const fallbackRules = Object.keys(materials).map(hex => ({ hex, tolerance: hexTolerance, preset: hex, fallback: true }));
+  const compiled = [...rules, ...fallbackRules].map(compileRule);
+
+  return (mesh, path) => {
+    // Once a preset is applied, keep matching against what the GLB shipped with.
+    const material = mesh.material;
+    const source = mesh.userData.sourceMaterial ?? {
+      name: material?.name ?? '',
+      hex: material?.color?.getHexString(),
+    };
+    mesh.userData.sourceMaterial = source;
+
+    const subject = {
+      path,
+      names: nodeNames(mesh),
+      materialName: source.name,
+      materialHex: source.hex,
+    };
+    const rule = compiled.find(candidate => candidate.test(subject));
+    return { ...subject, rule: rule ?? null };
+  };
+};
+
+const defaultResolver = createMaterialResolver();
+
+/**
+ * Resolves every mesh in a loaded GLB scene. Returns the meshes that matched a
+ * rule (with the rule) and the ones left untouched, for the debug report.
+ */
+export const resolveSceneMaterials = (scene, path, resolve = defaultResolver) => {
+  const report = { path, matched: [], untouched: [] };
+
+  scene.traverse(child => {
+    if (!child.isMesh) return;
+
+    if (!child.material || Array.isArray(child.material)) {
+      report.untouched.push({ mesh: child, reason: child.material ? 'multi-material mesh' : 'no material' });
+      return;
+    }
+
+    const result = resolve(child, path);
+    if (result.rule) {
+      report.matched.push({ mesh: child, ...result });
+    } else {
+      report.untouched.push({ mesh: child, ...result, reason: 'no rule matched' });
+    }
+  });
+
+  return report;
+};
+
+const describeRule = (rule) => rule.fallback
+  ? `hex fallback ${rule.hex}`
+  : `materialRules[${rule.index}]`;
+
+// Logged for each model when ThreeScene's `debugMaterials` is set.
+export const logMaterialReport = ({ path, matched, untouched }) => {
+  console.groupCollapsed(`[materials] ${path}: ${matched.length} matched, ${untouched.length} untouched`);
+  if (matched.length > 0) {
+    console.table(matched.map(({ mesh, materialName, materialHex, rule }) => ({
+      mesh: mesh.name,
+      material: materialName,
+      hex: materialHex,
+      rule: describeRule(rule),
+      preset: rule.preset,
+    })));
+  }
+  if (untouched.length > 0) {
+    console.table(untouched.map(({ mesh, materialName, materialHex, reason }) => ({
+      mesh: mesh.name,
+      material: materialName,
+      hex: materialHex,
+      reason,
+    })));
+  }
+  console.groupEnd();
+};
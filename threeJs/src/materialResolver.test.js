@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import * as THREE from 'three';
+import { createMaterialResolver, resolveSceneMaterials } from './materialResolver.js';
+
+// A mesh named `name` under a `parent` node, with a material of the given name and color.
+const meshWith = ({ name = 'mesh', parent = 'root', materialName = '', color = '#123456' } = {}) => {
+  const material = new THREE.MeshStandardMaterial({ color });
+  material.name = materialName;
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+  mesh.name = name;
+  const group = new THREE.Group();
+  group.name = parent;
+  group.add(mesh);
+  return mesh;
+};
+
+test('the first matching rule wins', () => {
+  const resolve = createMaterialResolver([
+    { meshName: 'Chair', preset: '818181' },
+    { name: 'Chair*', preset: '686868' },
+  ]);
+  assert.equal(resolve(meshWith({ name: 'Chair' }), '/static.glb').rule.preset, '818181');
+  assert.equal(resolve(meshWith({ name: 'ChairLeg' }), '/static.glb').rule.preset, '686868');
+});
+
+test('every field of a rule must match', () => {
+  const resolve = createMaterialResolver([{ path: '/bird.glb', name: '*Gold*', preset: '818181' }]);
+  assert.equal(resolve(meshWith({ materialName: '[0046_Gold]' }), '/bird.glb').rule.preset, '818181');
+  assert.equal(resolve(meshWith({ materialName: '[0046_Gold]' }), '/static.glb').rule, null);
+});
+
+test('names match against the mesh, its parents and its material', () => {
+  const resolve = createMaterialResolver([{ meshName: 'Desk', preset: '818181' }, { materialName: 'Wood', preset: '686868' }]);
+  assert.equal(resolve(meshWith({ parent: 'Desk' }), '/a.glb').rule.preset, '818181');
+  assert.equal(resolve(meshWith({ materialName: 'Wood' }), '/a.glb').rule.preset, '686868');
+  assert.equal(resolve(meshWith({ materialName: 'Woodland' }), '/a.glb').rule, null);
+});
+
+test('globs are case-insensitive and anchored', () => {
+  const resolve = createMaterialResolver([{ name: 'lamp?', preset: '818181' }]);
+  assert.equal(resolve(meshWith({ name: 'LAMP1' }), '/a.glb').rule.preset, '818181');
+  assert.equal(resolve(meshWith({ name: 'lamp12' }), '/a.glb').rule, null);
+});
+
+test('hex rules allow each channel to drift by the tolerance', () => {
+  const resolve = createMaterialResolver([{ hex: '#686868', tolerance: 4, preset: '60c6ff' }]);
+  assert.equal(resolve(meshWith({ color: '#6c6464' }), '/a.glb').rule.preset, '60c6ff');
+  assert.equal(resolve(meshWith({ color: '#6d6868' }), '/a.glb').rule?.preset, undefined);
+});
+
+test('presets are tried by color after the explicit rules', () => {
+  const resolve = createMaterialResolver([{ name: 'Screen', preset: 'ff0000' }]);
+  const fallback = resolve(meshWith({ color: '#818181' }), '/a.glb').rule;
+  assert.equal(fallback.preset, '818181');
+  assert.equal(fallback.fallback, true);
+  assert.equal(resolve(meshWith({ name: 'Screen', color: '#818181' }), '/a.glb').rule.preset, 'ff0000');
+});
+
+test('a resolved mesh keeps matching on the material it shipped with', () => {
+  const resolve = createMaterialResolver([{ materialName: 'Wood', preset: '686868' }]);
+  const mesh = meshWith({ materialName: 'Wood', color: '#818181' });
+  resolve(mesh, '/a.glb');
+  mesh.material = new THREE.MeshPhysicalMaterial({ color: '#686868' });
+  assert.equal(resolve(mesh, '/a.glb').rule.preset, '686868');
+});
+
+test('an unknown preset is reported with the rule index', () => {
+  assert.throws(() => createMaterialResolver([{ preset: '818181' }, { preset: 'nope' }]), /materialRules\[1\]: unknown preset "nope"/);
+});
+
+test('the scene report separates matched and untouched meshes', () => {
+  const resolve = createMaterialResolver([{ meshName: 'Chair', preset: '818181' }]);
+  const scene = new THREE.Group();
+  const chair = meshWith({ name: 'Chair' });
+  const table = meshWith({ name: 'Table' });
+  const bare = new THREE.Mesh(new THREE.BufferGeometry(), [new THREE.MeshBasicMaterial(), new THREE.MeshBasicMaterial()]);
+  scene.add(chair.parent, table.parent, bare);
+
+  const report = resolveSceneMaterials(scene, '/a.glb', resolve);
+  assert.deepEqual(report.matched.map(entry => entry.mesh), [chair]);
+  assert.deepEqual(report.untouched.map(entry => [entry.mesh, entry.reason]), [[table, 'no rule matched'], [bare, 'multi-material mesh']]);
+});
@@ -0,0 +1,25 @@
+// Rules that decide which preset from materials.js each GLB mesh receives.
+//
+// Every field of a rule is optional, but all fields given must match:
+//   preset       key in materials.js to apply (required)
+//   materialName exact name of the GLB material, e.g. '[0046_Gold]'
+//   meshName     exact name of the mesh or one of its parent nodes
+//   name         glob ('*' and '?') tested against the mesh, its parents and its material name
+//   path         glob tested against the GLB path, e.g. '/static.glb'
+//   hex          base color of the GLB material, e.g. 'ffbb97'
+//   tolerance    how far each RGB channel (0–255) may drift from `hex`
+//
+// Precedence is explicit: the first matching rule wins. After these rules,
+// every preset in materials.js is tried as a `hex` rule with HEX_TOLERANCE,
+// so the color-keyed presets keep working for anything not listed here.
+//
+// Examples:
+//   { materialName: '[Translucent Glass Blue]', preset: 'e7ffff' },
+//   { path: '/bird.glb', name: '*Gold*', preset: 'bcbc00' },
+//   { path: '/static.glb', hex: '686868', tolerance: 4, preset: '60c6ff' },
+
+export const HEX_TOLERANCE = 0;
+
+const materialRules = [];
+
+export default materialRules;
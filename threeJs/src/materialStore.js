@@ -0,0 +1,213 @@
+import { createContext, useContext } from 'react';
+import * as THREE from 'three';
+import materials from './materials.js';
+
+// Live copy of the presets in materials.js. Every mesh using a preset shares a
+// single material instance; the material editor writes here and that instance
+// is updated in place. Each ThreeScene creates its own store and hands it down
+// through MaterialStoreContext, so a lamp switched off in one scene doesn't
+// dim the same preset in another.
+
+const COLOR_FIELDS = ['color', 'emissive', 'attenuationColor'];
+
+// Changing these switches shader defines, so the material must be recompiled.
+const RECOMPILE_FIELDS = ['transparent', 'flatShading', 'side', 'wireframe'];
+
+// --- Material Helpers ---
+
+const createPhysicalMaterial = (settings) => new THREE.MeshPhysicalMaterial({
+  color: new THREE.Color(settings.color),
+  metalness: settings.metalness,
+  roughness: settings.roughness,
+  specularIntensity: settings.specularIntensity,
+  clearcoat: settings.clearcoat,
+  clearcoatRoughness: settings.clearcoatRoughness,
+  sheen: settings.sheen,
+  envMapIntensity: settings.envMapIntensity ?? 1,
+  iridescence: settings.iridescence,
+  emissive: new THREE.Color(settings.emissive),
+  emissiveIntensity: settings.emissiveIntensity,
+  transmission: settings.transmission,
+  transparent: settings.transparent,
+  thickness: settings.thickness,
+  attenuationColor: new THREE.Color(settings.attenuationColor),
+  attenuationDistance: settings.attenuationDistance,
+  opacity: settings.opacity,
+  ior: settings.ior,
+  reflectivity: settings.reflectivity,
+  iridescenceIOR: settings.iridescenceIOR,
+  side: settings.side,
+  wireframe: settings.wireframe,
+  flatShading: settings.flatShading,
+});
+
+const applyField = (material, field, value) => {
+  if (COLOR_FIELDS.includes(field)) {
+    material[field].set(value);
+  } else {
+    material[field] = value;
+  }
+  if (RECOMPILE_FIELDS.includes(field)) {
+    material.needsUpdate = true;
+  }
+};
+
+/** Disposes a material together with every texture it references. */
+export const disposeMaterial = (material) => {
+  Object.values(material).forEach(value => {
+    if (value?.isTexture) value.dispose();
+  });
+  material.dispose();
+};
+
+export const isPresetMaterial = (material) => material?.userData.preset !== undefined;
+
+// --- Export ---
+
+const SIDE_NAMES = {
+  [THREE.FrontSide]: 'FrontSide',
+  [THREE.BackSide]: 'BackSide',
+  [THREE.DoubleSide]: 'DoubleSide',
+};
+
+const formatValue = (field, value) => field === 'side' ? `THREE.${SIDE_NAMES[value]}` : JSON.stringify(value).replace(/"/g, '\'');
+
+/** Serializes presets in the same shape as materials.js. */
+const exportModule = (presets) => {
+  const body = Object.entries(presets).map(([key, settings]) => {
+    const fields = Object.entries(settings).map(([field, value]) => `    ${field}: ${formatValue(field, value)},`);
+    return `  '${key}': {\n${fields.join('\n')}\n  },`;
+  });
+  return `import * as THREE from 'three';\n\nconst materials = {\n${body.join('\n')}\n};\n\nexport default materials;\n`;
+};
+
+/** Serializes presets as JSON, with `side` stored by name. */
+const exportJson = (presets) => JSON.stringify(
+  presets,
+  (field, value) => field === 'side' ? SIDE_NAMES[value] : value,
+  2,
+);
+
+// --- Store ---
+
+export const createMaterialStore = () => {
+  const presets = Object.fromEntries(Object.entries(materials).map(([key, settings]) => [key, { ...settings }]));
+
+  // Preset key -> Set of { mesh, path } currently using it.
+  const usage = new Map();
+
+  // Preset key -> shared MeshPhysicalMaterial, alive while any mesh uses it.
+  const sharedMaterials = new Map();
+
+  // Preset key -> { field: multiplier } applied on top of the preset at runtime
+  // (a switched-off lamp, interior lights at noon). Scales never end up in the
+  // editor or its exports.
+  const scales = new Map();
+
+  const scaledSettings = (key) => {
+    const settings = { ...presets[key] };
+    Object.entries(scales.get(key) ?? {}).forEach(([field, scale]) => {
+      settings[field] *= scale;
+    });
+    return settings;
+  };
+
+  const listeners = new Set();
+  let version = 0;
+
+  const emit = () => {
+    version += 1;
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    /** Returns the one material instance shared by every mesh using `key`. */
+    getPresetMaterial: (key) => {
+      if (!sharedMaterials.has(key)) {
+        const material = createPhysicalMaterial(scaledSettings(key));
+        material.name = `preset:${key}`;
+        material.userData.preset = key;
+        sharedMaterials.set(key, material);
+      }
+      return sharedMaterials.get(key);
+    },
+
+    getSharedMaterialCount: () => sharedMaterials.size,
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getVersion: () => version,
+
+    getPresets: () => presets,
+
+    getPresetUsage: (key) => [...(usage.get(key) ?? [])],
+
+    updatePreset: (key, field, value) => {
+      presets[key] = { ...presets[key], [field]: value };
+      const material = sharedMaterials.get(key);
+      if (material) applyField(material, field, scaledSettings(key)[field]);
+      emit();
+    },
+
+    resetPreset: (key) => {
+      presets[key] = { ...materials[key] };
+      const material = sharedMaterials.get(key);
+      if (material) {
+        Object.entries(scaledSettings(key)).forEach(([field, value]) => applyField(material, field, value));
+      }
+      emit();
+    },
+
+    /**
+     * Scales one numeric field of a preset's shared material without touching
+     * the preset itself, e.g. `setPresetScale('8fbddb', 'emissiveIntensity', 0)`.
+     */
+    setPresetScale: (key, field, scale) => {
+      scales.set(key, { ...scales.get(key), [field]: scale });
+
+      const material = sharedMaterials.get(key);
+      if (material) applyField(material, field, scaledSettings(key)[field]);
+    },
+
+    /**
+     * Records which meshes use which preset. Returns a cleanup function that
+     * removes them again when the model unmounts, disposing a shared material
+     * once its last mesh is gone.
+     */
+    registerPresetMeshes: (path, entries) => {
+      const added = entries.map(({ mesh, preset }) => {
+        const record = { mesh, path };
+        if (!usage.has(preset)) usage.set(preset, new Set());
+        usage.get(preset).add(record);
+        return [preset, record];
+      });
+      emit();
+
+      return () => {
+        added.forEach(([preset, record]) => {
+          const meshes = usage.get(preset);
+          meshes?.delete(record);
+          if (meshes?.size === 0 && sharedMaterials.has(preset)) {
+            disposeMaterial(sharedMaterials.get(preset));
+            sharedMaterials.delete(preset);
+          }
+        });
+        emit();
+      };
+    },
+
+    /** Serializes the current presets in the same shape as materials.js. */
+    exportPresetsModule: () => exportModule(presets),
+
+    /** Serializes the current presets as JSON, with `side` stored by name. */
+    exportPresetsJson: () => exportJson(presets),
+  };
+};
+
+export const MaterialStoreContext = createContext(null);
+
+/** The material store of the ThreeScene this component renders in. */
+export const useMaterialStore = () => useContext(MaterialStoreContext);
@@ -0,0 +1,6 @@
+// The control panels a scene shows over the canvas, which its `ui` prop can
+// hide one by one.
+export const UI_PANELS = ['camera', 'music', 'timeOfDay', 'weather', 'animation', 'settings', 'capture', 'inspector'];
+
+/** `ui` is true (every panel), false (none) or { panel: false, ... }. Returns { panel: shown }. */
+export const resolveUi = (ui) => Object.fromEntries(UI_PANELS.map(panel => [panel, typeof ui === 'object' ? ui[panel] !== false : ui !== false]));
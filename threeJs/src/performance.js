@@ -0,0 +1,115 @@
+import { useEffect, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useMaterialStore } from './materialStore.js';
+
+// What the governor gives up, one tier at a time, when frames run long. Each
+// tier keeps the savings of the ones before it.
+//   stripDensity    fraction of a strip light's point lights left lit (the
+//                   rest stay mounted, dark, so no shader recompiles)
+//   weatherDensity  fraction of weather particles that are drawn
+//   dprScale        multiplier on the quality level's pixel ratio
+//   transmission    false turns off transmission on glass presets
+//   dropEffects     post-processing effect types that are skipped
+export const PERFORMANCE_TIERS = [
+  { name: 'full', stripDensity: 1, weatherDensity: 1, dprScale: 1, transmission: true, dropEffects: [] },
+  { name: 'sparse strips and weather', stripDensity: 0.25, weatherDensity: 0.5, dprScale: 1, transmission: true, dropEffects: [] },
+  { name: 'lower resolution', stripDensity: 0.25, weatherDensity: 0.5, dprScale: 0.75, transmission: true, dropEffects: [] },
+  { name: 'no transmission', stripDensity: 0.25, weatherDensity: 0.5, dprScale: 0.75, transmission: false, dropEffects: [] },
+  { name: 'no bloom', stripDensity: 0.25, weatherDensity: 0.5, dprScale: 0.75, transmission: false, dropEffects: ['bloom', 'depthOfField'] },
+  { name: 'minimum', stripDensity: 0.25, weatherDensity: 0.25, dprScale: 0.5, transmission: false, dropEffects: ['bloom', 'depthOfField', 'vignette'] },
+];
+
+// Frame rate below which the governor steps down, and above which it steps
+// back up. The gap keeps it from flipping between two tiers.
+const TARGET_FPS = 30;
+const HEADROOM_FPS = 50;
+
+// Frame times are averaged over windows of this many seconds.
+const WINDOW = 1;
+const WINDOWS_BEFORE_DOWN = 2;
+const WINDOWS_BEFORE_UP = 5;
+
+// Longer gaps mean the tab was hidden or the page was blocked, not a slow GPU.
+const MAX_FRAME_TIME = 0.5;
+
+/**
+ * Decides tier changes from averaged frame rates. Stepping up to a tier that
+ * then proves too slow doubles the wait before the next attempt, so a machine
+ * that sits right on the edge settles instead of oscillating.
+ */
+export const createPerformanceGovernor = (tierCount = PERFORMANCE_TIERS.length) => {
+  let slowWindows = 0;
+  let fastWindows = 0;
+  let windowsBeforeUp = WINDOWS_BEFORE_UP;
+  let lastStep = null;
+
+  return {
+    // Returns the tier to use after a window that averaged `fps`.
+    update: (tier, fps) => {
+      slowWindows = fps < TARGET_FPS ? slowWindows + 1 : 0;
+      fastWindows = fps > HEADROOM_FPS ? fastWindows + 1 : 0;
+
+      if (slowWindows >= WINDOWS_BEFORE_DOWN && tier < tierCount - 1) {
+        if (lastStep === 'up') windowsBeforeUp *= 2;
+        lastStep = 'down';
+        slowWindows = 0;
+        fastWindows = 0;
+        return tier + 1;
+      }
+      if (fastWindows >= windowsBeforeUp && tier > 0) {
+        lastStep = 'up';
+        slowWindows = 0;
+        fastWindows = 0;
+        return tier - 1;
+      }
+      return tier;
+    },
+  };
+};
+
+/**
+ * Samples frame time inside the Canvas. Every window it reports
+ * `{ fps, frameTime }` through `onSample` and, when `enabled`, moves to the
+ * tier the governor picks through `onTierChange`. The window after a change
+ * is skipped, since turning transmission or effects off recompiles shaders.
+ */
+export const usePerformanceGovernor = ({ tier, enabled = true, onTierChange, onSample }) => {
+  const governor = useRef(null);
+  const frames = useRef({ elapsed: 0, count: 0, skip: false });
+
+  if (!governor.current) governor.current = createPerformanceGovernor();
+
+  useEffect(() => {
+    frames.current = { elapsed: 0, count: 0, skip: true };
+  }, [tier]);
+
+  useFrame((_, delta) => {
+    if (delta > MAX_FRAME_TIME) return;
+
+    const current = frames.current;
+    current.elapsed += delta;
+    current.count += 1;
+    if (current.elapsed < WINDOW) return;
+
+    const fps = current.count / current.elapsed;
+    const frameTime = (current.elapsed / current.count) * 1000;
+    const skipped = current.skip;
+    frames.current = { elapsed: 0, count: 0, skip: false };
+
+    onSample?.({ fps, frameTime });
+    if (!enabled || skipped) return;
+
+    const nextTier = governor.current.update(tier, fps);
+    if (nextTier !== tier) onTierChange(nextTier);
+  });
+};
+
+/** Turns transmission off on every glass preset while `enabled` is false. */
+export const useTransmission = (enabled) => {
+  const store = useMaterialStore();
+  useEffect(() => {
+    Object.entries(store.getPresets())
+      .filter(([, settings]) => settings.transmission > 0)
+      .forEach(([key]) => store.setPresetScale(key, 'transmission', enabled ? 1 : 0));
+  }, [store, enabled]);
+};
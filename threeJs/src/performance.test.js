@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PERFORMANCE_TIERS, createPerformanceGovernor } from './performance.js';
+
+// Feeds the governor one averaged frame rate per window, following its tier changes.
+const run = (governor, fpsPerWindow, tier = 0) => {
+  const tiers = [];
+  fpsPerWindow.forEach((fps) => {
+    tier = governor.update(tier, fps);
+    tiers.push(tier);
+  });
+  return tiers;
+};
+
+test('two slow windows in a row step down one tier', () => {
+  assert.deepEqual(run(createPerformanceGovernor(), [20, 20, 20]), [0, 1, 1]);
+});
+
+test('a single slow window is forgiven', () => {
+  assert.deepEqual(run(createPerformanceGovernor(), [20, 40, 20, 40]), [0, 0, 0, 0]);
+});
+
+test('five fast windows step back up', () => {
+  assert.deepEqual(run(createPerformanceGovernor(), [60, 60, 60, 60, 60], 2), [2, 2, 2, 2, 1]);
+});
+
+test('frame rates between the thresholds hold the tier', () => {
+  assert.deepEqual(run(createPerformanceGovernor(), Array(10).fill(40), 1), Array(10).fill(1));
+});
+
+test('the governor stays within the tier list', () => {
+  const last = PERFORMANCE_TIERS.length - 1;
+  assert.equal(run(createPerformanceGovernor(), [10, 10], last).at(-1), last);
+  assert.equal(run(createPerformanceGovernor(), Array(5).fill(60), 0).at(-1), 0);
+});
+
+test('a step up that proves too slow doubles the wait before the next one', () => {
+  const governor = createPerformanceGovernor();
+  assert.equal(run(governor, Array(5).fill(60), 1).at(-1), 0);
+  assert.equal(run(governor, [20, 20], 0).at(-1), 1);
+  assert.deepEqual(run(governor, Array(10).fill(60), 1), [1, 1, 1, 1, 1, 1, 1, 1, 1, 0]);
+});
+
+test('every tier keeps the savings of the one before it', () => {
+  PERFORMANCE_TIERS.slice(1).forEach((tier, index) => {
+    const previous = PERFORMANCE_TIERS[index];
+    assert.ok(tier.stripDensity <= previous.stripDensity, tier.name);
+    assert.ok(tier.weatherDensity <= previous.weatherDensity, tier.name);
+    assert.ok(tier.dprScale <= previous.dprScale, tier.name);
+    assert.ok(previous.transmission || !tier.transmission, tier.name);
+    previous.dropEffects.forEach(effect => assert.ok(tier.dropEffects.includes(effect), tier.name));
+  });
+});
@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+// Collision shapes for the manifest's `physics` section, built from the GLB
+// meshes themselves. Bodies live in the frame of the group a model is placed
+// in (the swaying room), so every shape is measured from the mesh up to and
+// including the model's root.
+//
+// The meshes stay where they are in the GLB hierarchy and are moved to follow
+// their body every frame, so material rules, hotspots and the info card keep
+// working on them while they are thrown around.
+
+// What a static collider is made of: a thin slab behind every flat surface of
+// the mesh (floors, desk tops, shelf boards, walls), or one box around each
+// connected piece of it. cannon can't collide convex shapes with triangle
+// meshes, so colliders are always built from boxes.
+export const COLLIDER_SHAPES = ['surfaces', 'box'];
+
+// Surfaces smaller than this (m²) get no slab: bevels, handles, trim.
+const MIN_SURFACE_AREA = 0.01;
+
+// How far a slab reaches behind its surface, so fast props don't pass through.
+const SLAB_THICKNESS = 0.04;
+
+// Hull vertices snap to a grid of this many cells along each axis of the
+// prop's bounds; smooth meshes otherwise give hulls of hundreds of faces.
+const HULL_RESOLUTION = 16;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const RIGHT = new THREE.Vector3(1, 0, 0);
+
+/** Matrix from `object`'s space to the space `root` is placed in. */
+export const matrixInModel = (object, root, target = new THREE.Matrix4()) => {
+  target.identity();
+  for (let node = object; node; node = node.parent) {
+    node.updateMatrix();
+    target.premultiply(node.matrix);
+    if (node === root) break;
+  }
+  return target;
+};
+
+const meshPoints = (mesh, matrix) => {
+  const position = mesh.geometry.attributes.position;
+  return Array.from({ length: position.count }, (_, index) => new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(matrix));
+};
+
+const meshTriangles = (mesh) => {
+  const { index, attributes } = mesh.geometry;
+  const indices = index ? Array.from(index.array) : Array.from({ length: attributes.position.count }, (_, i) => i);
+  return Array.from({ length: Math.floor(indices.length / 3) }, (_, i) => indices.slice(i * 3, i * 3 + 3));
+};
+
+// Groups triangles that share a vertex position (vertices are split along
+// seams, so indices alone don't connect them).
+const connectedGroups = (points, triangles) => {
+  const welded = new Map();
+  const vertexId = points.map((point) => {
+    const key = point.toArray().map(value => Math.round(value * 1e4)).join();
+    if (!welded.has(key)) welded.set(key, welded.size);
+    return welded.get(key);
+  });
+
+  const parents = Array.from({ length: welded.size }, (_, i) => i);
+  const find = (id) => (parents[id] === id ? id : (parents[id] = find(parents[id])));
+  triangles.forEach(([a, b, c]) => {
+    parents[find(vertexId[b])] = find(vertexId[a]);
+    parents[find(vertexId[c])] = find(vertexId[a]);
+  });
+
+  const groups = new Map();
+  triangles.forEach((triangle) => {
+    const root = find(vertexId[triangle[0]]);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(triangle);
+  });
+  return [...groups.values()];
+};
+
+// A flat patch of the mesh, measured in a basis whose y axis is its normal.
+const surface = (points, triangles, normal) => {
+  const tangent = new THREE.Vector3().crossVectors(Math.abs(normal.y) < 0.9 ? UP : RIGHT, normal).normalize();
+  const bitangent = new THREE.Vector3().crossVectors(tangent, normal);
+  const basis = new THREE.Matrix4().makeBasis(tangent, normal, bitangent);
+  const toBasis = basis.clone().transpose();
+
+  return {
+    normal,
+    basis,
+    points: triangles.flat().map(index => points[index]),
+    bounds: new THREE.Box3().setFromPoints(triangles.flat().map(index => points[index].clone().applyMatrix4(toBasis))),
+  };
+};
+
+// Distance to the nearest surface facing the other way behind `face` (the
+// underside of a shelf board), so a slab never pokes out of a thin board.
+const depthBehind = (face, surfaces) => {
+  const toBasis = face.basis.clone().transpose();
+  return surfaces.reduce((depth, other) => {
+    if (other.normal.dot(face.normal) > -0.99) return depth;
+    const bounds = new THREE.Box3().setFromPoints(other.points.map(point => point.clone().applyMatrix4(toBasis)));
+    const distance = face.bounds.max.y - bounds.max.y;
+    const overlaps = bounds.max.x > face.bounds.min.x && bounds.min.x < face.bounds.max.x &&
+      bounds.max.z > face.bounds.min.z && bounds.min.z < face.bounds.max.z;
+    return overlaps && distance > 1e-3 && distance < depth ? distance : depth;
+  }, SLAB_THICKNESS);
+};
+
+// A box whose top face covers the surface, reaching `depth` behind it.
+const slab = ({ basis, bounds }, depth) => {
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+  center.y = bounds.max.y - depth / 2;
+
+  return {
+    type: 'Box',
+    args: [size.x, depth, size.z],
+    position: center.applyMatrix4(basis).toArray(),
+    rotation: new THREE.Euler().setFromRotationMatrix(basis).toArray().slice(0, 3),
+  };
+};
+
+const surfaceSlabs = (points, triangles) => {
+  // Triangles by plane: normal to within ~1° and offset to within 5mm.
+  const planes = new Map();
+  triangles.forEach((triangle) => {
+    const [a, b, c] = triangle.map(index => points[index]);
+    const cross = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+    const area = cross.length() / 2;
+    if (area === 0) return;
+
+    const normal = cross.normalize();
+    const key = [...normal.toArray().map(value => Math.round(value * 50)), Math.round(normal.dot(a) * 200)].join();
+    if (!planes.has(key)) planes.set(key, { normal, triangles: [], areas: new Map() });
+    const plane = planes.get(key);
+    plane.triangles.push(triangle);
+    plane.areas.set(triangle, area);
+  });
+
+  // Separate surfaces in the same plane (two desks at one height) get their
+  // own slab, so nothing bridges the gap between them.
+  const surfaces = [...planes.values()].flatMap(({ normal, triangles: planeTriangles, areas }) => (
+    connectedGroups(points, planeTriangles)
+      .filter(group => group.reduce((sum, triangle) => sum + areas.get(triangle), 0) >= MIN_SURFACE_AREA)
+      .map(group => surface(points, group, normal))
+  ));
+  return surfaces.map(face => slab(face, depthBehind(face, surfaces)));
+};
+
+const pieceBoxes = (points, triangles) => connectedGroups(points, triangles).map((group) => {
+  const bounds = new THREE.Box3().setFromPoints(group.flat().map(index => points[index]));
+  const size = bounds.getSize(new THREE.Vector3()).max(new THREE.Vector3(SLAB_THICKNESS, SLAB_THICKNESS, SLAB_THICKNESS));
+  return { type: 'Box', args: size.toArray(), position: bounds.getCenter(new THREE.Vector3()).toArray() };
+});
+
+/** Box shapes for a static collider, in the frame `root` is placed in. */
+export const colliderShapes = (mesh, root, shape) => {
+  const points = meshPoints(mesh, matrixInModel(mesh, root));
+  const triangles = meshTriangles(mesh);
+  return shape === 'box' ? pieceBoxes(points, triangles) : surfaceSlabs(points, triangles);
+};
+
+/**
+ * A prop's body at rest: the convex hull of its vertices around the center of
+ * its bounds. `offset` takes the body's frame back to the mesh's.
+ */
+export const propBody = (mesh, root) => {
+  const matrix = matrixInModel(mesh, root);
+  const points = meshPoints(mesh, matrix);
+  const bounds = new THREE.Box3().setFromPoints(points);
+  const center = bounds.getCenter(new THREE.Vector3());
+  const cell = bounds.getSize(new THREE.Vector3()).divideScalar(HULL_RESOLUTION).max(new THREE.Vector3(1e-4, 1e-4, 1e-4));
+
+  const snapped = new Map();
+  points.forEach((point) => {
+    const snap = point.sub(center).divide(cell).round();
+    snapped.set(snap.toArray().join(), snap.multiply(cell));
+  });
+  const hull = new ConvexHull().setFromPoints([...snapped.values()]);
+
+  // Hull faces wind counter-clockwise seen from outside, as cannon expects.
+  const vertexIndex = new Map();
+  const vertices = [];
+  const faces = hull.faces.map((face) => {
+    const loop = [];
+    let edge = face.edge;
+    do {
+      const { point } = edge.head();
+      if (!vertexIndex.has(point)) {
+        vertexIndex.set(point, vertices.length);
+        vertices.push(point.toArray());
+      }
+      loop.push(vertexIndex.get(point));
+      edge = edge.next;
+    } while (edge !== face.edge);
+    return loop;
+  });
+
+  return {
+    position: center.toArray(),
+    args: [vertices, faces],
+    offset: new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z).multiply(matrix),
+  };
+};
+
+// --- Grabbing ---
+
+// Mesh -> grab(event) for every prop currently simulated. Pointer-down on a
+// model goes through `grabProp`, which starts a drag if the mesh is a prop.
+const grabbable = new Map();
+
+export const registerProp = (mesh, grab) => {
+  grabbable.set(mesh, grab);
+  return () => grabbable.delete(mesh);
+};
+
+/** Starts dragging the prop under an R3F pointer event. Returns false if it isn't one. */
+export const grabProp = (event) => {
+  const grab = grabbable.get(event.object);
+  if (!grab) return false;
+  grab(event);
+  return true;
+};
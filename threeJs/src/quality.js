@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import * as THREE from 'three';
+
+// Rendering quality levels, cheapest first. A level sets the canvas pixel
+// ratio and MSAA samples; post-processing effects declare the lowest level
+// they run at (see `minQuality` in the scene manifest).
+export const QUALITY_LEVELS = ['low', 'medium', 'high'];
+
+export const QUALITY_PRESETS = {
+  low: { label: 'LOW', dpr: 1, multisampling: 0 },
+  medium: { label: 'MEDIUM', dpr: [1, 1.5], multisampling: 4 },
+  high: { label: 'HIGH', dpr: [1, 2], multisampling: 8 },
+};
+
+export const isQualityAtLeast = (quality, minQuality) => QUALITY_LEVELS.indexOf(quality) >= QUALITY_LEVELS.indexOf(minQuality);
+
+/** Resolves a Canvas `dpr` (number or [min, max] range) for this screen, times `scale`. */
+export const resolveDpr = (dpr, scale = 1) => {
+  const [min, max] = Array.isArray(dpr) ? dpr : [dpr, dpr];
+  return THREE.MathUtils.clamp(window.devicePixelRatio, min, max) * scale;
+};
+
+// --- Persisted Settings ---
+
+// localStorage throws in some private browsing modes; settings then only last
+// for the visit.
+const readStored = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const writeStored = (key, value) => {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch {
+    // Not persisted; the value still applies for this visit.
+  }
+};
+
+/**
+ * A settings-menu value remembered across visits. `parse` turns the stored
+ * string back into a value, returning undefined for anything invalid.
+ */
+export const useStoredSetting = (key, fallback, parse = (value) => value) => {
+  const [value, setValue] = useState(() => {
+    const stored = readStored(key);
+    return (stored === null ? undefined : parse(stored)) ?? fallback;
+  });
+
+  const pick = (nextValue) => {
+    setValue(nextValue);
+    writeStored(key, String(nextValue));
+  };
+
+  return [value, pick];
+};
+
+const parseQuality = (value) => (QUALITY_LEVELS.includes(value) ? value : undefined);
+
+/**
+ * The active quality level. Starts from `pinned` (ThreeScene's `quality`
+ * prop), then the last level picked in the settings menu, then
+ * `defaultQuality`. Picks are remembered across visits.
+ */
+export const useQuality = (defaultQuality = 'high', pinned) => {
+  const pinnedQuality = parseQuality(pinned);
+  const [stored, pickQuality] = useStoredSetting('quality', defaultQuality, parseQuality);
+  const [hasPicked, setHasPicked] = useState(false);
+
+  const quality = pinnedQuality && !hasPicked ? pinnedQuality : stored;
+  return [quality, (nextQuality) => {
+    setHasPicked(true);
+    pickQuality(nextQuality);
+  }];
+};
@@ -0,0 +1,141 @@
+import { createContext, useContext } from 'react';
+import { useFrame } from '@react-three/fiber';
+
+// One clock for every scene animation: model tracks, GLB clips and the room
+// sway. It can be paused, slowed down, seeked and switched to fixed steps, so
+// the room can be frozen for a screenshot or replayed frame for frame.
+// Animations read `getTime()`/`getDelta()` every frame; React UI subscribes to
+// a snapshot that is refreshed a few times per second.
+//
+// Each ThreeScene creates its own clock and hands it down through
+// SceneClockContext, so two scenes on one page run independently. The
+// starting state comes from ThreeScene's `clock` prop (the app reads it from
+// the URL, e.g. `?time=12.5&paused` or `?fixedStep=30&timeScale=0.5`):
+//   time       seconds to start at
+//   paused     start paused
+//   timeScale  speed multiplier
+//   fixedStep  advance exactly 1/fixedStep seconds per rendered frame
+
+const SNAPSHOT_INTERVAL = 0.1;
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Outside a browser (the unit tests) there is no OS setting to follow.
+const reducedMotionQuery = () => (typeof window === 'undefined' ? null : window.matchMedia?.(REDUCED_MOTION_QUERY) ?? null);
+
+export const createSceneClock = ({ time: startTime = 0, paused = false, timeScale: startScale = 1, fixedStep: stepsPerSecond = null } = {}) => {
+  const listeners = new Set();
+  let time = startTime;
+  let delta = 0;
+  let playing = !paused;
+  let timeScale = startScale;
+  let fixedStep = stepsPerSecond ? 1 / stepsPerSecond : null;
+  let reducedMotion = reducedMotionQuery()?.matches ?? false;
+  let followsSystemMotion = true;
+  let pendingStep = 0;
+  let seeks = 0;
+  let snapshot = null;
+
+  const emit = () => {
+    snapshot = { time, playing, timeScale, fixedStep, reducedMotion };
+    listeners.forEach(listener => listener());
+  };
+  emit();
+
+  const play = () => {
+    playing = true;
+    emit();
+  };
+
+  const pause = () => {
+    playing = false;
+    emit();
+  };
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot: () => snapshot,
+
+    /** Seconds of scene time elapsed. */
+    getTime: () => time,
+
+    /** Scene time added by the latest frame; 0 while paused. */
+    getDelta: () => delta,
+
+    /** Counts seeks, so incremental players (GLB clips) know to jump. */
+    getSeekCount: () => seeks,
+
+    /** True when motion-sensitive animations should hold still. */
+    isReducedMotion: () => reducedMotion,
+
+    play,
+    pause,
+    toggle: () => (playing ? pause() : play()),
+
+    seek: (nextTime) => {
+      time = Math.max(0, nextTime);
+      delta = 0;
+      seeks += 1;
+      emit();
+    },
+
+    setTimeScale: (scale) => {
+      timeScale = Math.max(0, scale);
+      emit();
+    },
+
+    /** Advances `1 / stepsPerSecond` per frame regardless of frame rate; null for real time. */
+    setFixedStep: (nextStepsPerSecond) => {
+      fixedStep = nextStepsPerSecond ? 1 / nextStepsPerSecond : null;
+      emit();
+    },
+
+    setReducedMotion: (enabled) => {
+      followsSystemMotion = false;
+      reducedMotion = enabled;
+      emit();
+    },
+
+    /**
+     * Follows the OS reduced-motion setting when it changes, until the user
+     * picks in the UI. Returns a function that stops following it.
+     */
+    followSystemMotion: () => {
+      const query = reducedMotionQuery();
+      const handleChange = (event) => {
+        if (!followsSystemMotion) return;
+        reducedMotion = event.matches;
+        emit();
+      };
+      query?.addEventListener?.('change', handleChange);
+      return () => query?.removeEventListener?.('change', handleChange);
+    },
+
+    /** Moves a paused clock forward by one frame (the fixed step, or 1/60 s). */
+    stepFrame: () => {
+      pendingStep = (fixedStep ?? 1 / 60) * timeScale;
+    },
+
+    advance: (frameDelta) => {
+      delta = playing ? (fixedStep ?? frameDelta) * timeScale : pendingStep;
+      pendingStep = 0;
+      time += delta;
+      if (Math.abs(time - snapshot.time) >= SNAPSHOT_INTERVAL) emit();
+    },
+  };
+};
+
+export const SceneClockContext = createContext(null);
+
+/** The clock of the ThreeScene this component renders in. */
+export const useSceneClock = () => useContext(SceneClockContext);
+
+/** Advances the clock. Mount once, inside the Canvas, before any animated model. */
+export const useSceneClockDriver = () => {
+  const clock = useSceneClock();
+  useFrame((_, frameDelta) => clock.advance(frameDelta));
+};
@@ -0,0 +1,760 @@
+import { animationPresets, animationTypes } from './animations.js';
+import { LOOP_MODES } from './clips.js';
+import { easings } from './easing.js';
+import { effectTypes, toneMappingModes } from './effects.js';
+import { MODEL_FALLBACKS } from './gltf.js';
+import { hotspotActions } from './interactions.js';
+import materials from './materials.js';
+import { COLLIDER_SHAPES } from './physics.js';
+import { QUALITY_LEVELS } from './quality.js';
+import { SCREEN_COMPONENTS, SCREEN_CONTENT_TYPES, SCREEN_PAINTERS } from './screen.js';
+import { REFERENCE_HOUR } from './timeOfDay.js';
+import { WEATHER_NAMES } from './weather.js';
+
+export const DEFAULT_SCENE = 'room';
+
+const ENVIRONMENT_PRESETS = ['apartment', 'city', 'dawn', 'forest', 'lobby', 'night', 'park', 'studio', 'sunset', 'warehouse'];
+
+// Used when a manifest has no `camera` section.
+const DEFAULT_CAMERA = {
+  defaultView: 'front',
+  transition: { duration: 1.2, easing: 'easeInOutCubic' },
+  views: [
+    { name: 'front', label: 'FRONT', position: [5, 5, -3], target: [2, 2, 0], zoom: 1 },
+  ],
+};
+
+const LIGHT_FIELDS = {
+  ambient: { color: 'color', intensity: 'number' },
+  directional: { color: 'color', intensity: 'number', position: 'vec3' },
+  point: { color: 'color', intensity: 'number', position: 'vec3', distance: 'number', decay: 'number' },
+  rectArea: { color: 'color', intensity: 'number', position: 'vec3', rotation: 'vec3', width: 'number', height: 'number', helper: 'boolean' },
+  strip: { color: 'color', intensity: 'number', position: 'vec2', start: 'number', end: 'number', step: 'number', lights: 'number' },
+};
+
+// How a light follows the time-of-day cycle; see timeOfDay.js.
+const LIGHT_CYCLES = ['sun', 'ambient', 'interior'];
+
+// How hotspots and physics entries pick meshes; see interactions.js.
+const MATCH_FIELDS = { model: 'string', meshName: 'string', tag: 'string', preset: 'string' };
+
+const KEYFRAME_FIELDS = {
+  hour: 'number',
+  sky: 'colorPair',
+  environment: 'number',
+  sunColor: 'color',
+  sun: 'number',
+  ambient: 'number',
+  interior: 'number',
+};
+
+export class SceneManifestError extends Error {
+  constructor(sceneName, issues) {
+    super(`Invalid scene manifest "${sceneName}":\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    this.name = 'SceneManifestError';
+    this.sceneName = sceneName;
+    this.issues = issues;
+  }
+}
+
+// --- Field Checks ---
+
+const describe = (value) => {
+  if (Array.isArray(value)) return `array of length ${value.length}`;
+  if (value === null) return 'null';
+  return typeof value === 'string' ? `"${value}"` : typeof value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isVector = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+const isColor = (value) => typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+
+const FIELD_CHECKS = {
+  number: [isNumber, 'a number'],
+  string: [(value) => typeof value === 'string' && value.length > 0, 'a non-empty string'],
+  boolean: [(value) => typeof value === 'boolean', 'true or false'],
+  color: [isColor, 'a hex color like "#ffa500"'],
+  colorPair: [(value) => Array.isArray(value) && value.length === 2 && value.every(isColor), 'an array of 2 hex colors'],
+  vec2: [(value) => isVector(value, 2), 'an array of 2 numbers'],
+  vec3: [(value) => isVector(value, 3), 'an array of 3 numbers'],
+  scale: [(value) => isNumber(value) || isVector(value, 3), 'a number or an array of 3 numbers'],
+  property: [(value) => /^(position|rotation|scale)\.[xyz]$/.test(value), 'a property like "rotation.y"'],
+  axis: [(value) => ['x', 'y', 'z'].includes(value), '"x", "y" or "z"'],
+  wave: [(value) => value === 'sin' || value === 'cos', '"sin" or "cos"'],
+  fallback: [(value) => MODEL_FALLBACKS.includes(value), MODEL_FALLBACKS.map(name => `"${name}"`).join(' or ')],
+  colliderShape: [(value) => COLLIDER_SHAPES.includes(value), COLLIDER_SHAPES.map(name => `"${name}"`).join(' or ')],
+  mass: [(value) => isNumber(value) && value > 0, 'a number above 0'],
+  idList: [(value) => Array.isArray(value) && value.every(id => typeof id === 'string'), 'an array of ids'],
+  screenComponent: [(value) => SCREEN_COMPONENTS.includes(value), `one of ${SCREEN_COMPONENTS.join(', ')}`],
+  screenPainter: [(value) => Object.hasOwn(SCREEN_PAINTERS, value), `one of ${Object.keys(SCREEN_PAINTERS).join(', ')}`],
+  easing: [(value) => Object.hasOwn(easings, value), `one of ${Object.keys(easings).join(', ')}`],
+  weather: [(value) => WEATHER_NAMES.includes(value), `one of ${WEATHER_NAMES.join(', ')}`],
+  fraction: [(value) => isNumber(value) && value >= 0 && value <= 1, 'a number between 0 and 1'],
+  vec3List: [(value) => Array.isArray(value) && value.length >= 2 && value.every(point => isVector(point, 3)), 'an array of at least 2 [x, y, z] points'],
+  keyframes: [
+    (value) => Array.isArray(value) && value.length > 0 && value.every(key => (
+      isPlainObject(key) && isNumber(key.time) && isNumber(key.value) && (key.easing === undefined || Object.hasOwn(easings, key.easing))
+    )),
+    'a non-empty array of { "time", "value", "easing" } keys',
+  ],
+};
+
+const checkFields = (entry, fields, path, issues) => {
+  Object.entries(entry).forEach(([key, value]) => {
+    if (!(key in fields)) {
+      const expected = Object.keys(fields).length > 0 ? ` (expected one of ${Object.keys(fields).join(', ')})` : '';
+      issues.push(`${path}.${key}: unknown field${expected}`);
+      return;
+    }
+    const [check, expected] = FIELD_CHECKS[fields[key]];
+    if (!check(value)) {
+      issues.push(`${path}.${key}: expected ${expected}, got ${describe(value)}`);
+    }
+  });
+};
+
+// --- Section Validators ---
+
+// Options every animation track takes; on a preset reference they apply to
+// each of its tracks.
+const TRACK_OPTIONS = { speed: 'number', amplitude: 'number', phase: 'number', motionSensitive: 'boolean' };
+
+const validateTrack = (track, path, issues) => {
+  const { type, ...fields } = track;
+  const trackType = animationTypes[type];
+  if (!trackType) {
+    issues.push(`${path}.type: expected one of ${Object.keys(animationTypes).join(', ')}, got ${describe(type)}`);
+    return null;
+  }
+
+  checkFields(fields, { ...trackType.fields, ...TRACK_OPTIONS }, path, issues);
+  trackType.required.filter(field => fields[field] === undefined).forEach(field => {
+    issues.push(`${path}.${field}: required for "${type}" tracks`);
+  });
+  if (Array.isArray(fields.keys)) {
+    return { ...track, keys: [...fields.keys].sort((a, b) => a.time - b.time) };
+  }
+  return track;
+};
+
+// Expands a preset reference, folding its speed/amplitude/phase into every track.
+const expandPreset = ({ preset, ...options }, path, issues) => {
+  if (!animationPresets[preset]) {
+    issues.push(`${path}.preset: unknown animation preset "${preset}" (expected one of ${Object.keys(animationPresets).join(', ')})`);
+    return [];
+  }
+  checkFields(options, TRACK_OPTIONS, path, issues);
+  const { speed = 1, amplitude = 1, phase = 0 } = options;
+
+  return animationPresets[preset].map(track => ({
+    ...track,
+    speed: (track.speed ?? 1) * speed,
+    amplitude: (track.amplitude ?? 1) * amplitude,
+    phase: (track.phase ?? 0) + phase,
+    motionSensitive: options.motionSensitive ?? track.motionSensitive ?? false,
+  }));
+};
+
+const validateAnimationEntry = (entry, path, issues) => {
+  if (typeof entry === 'string') return expandPreset({ preset: entry }, path, issues);
+  if (isPlainObject(entry) && typeof entry.preset === 'string') return expandPreset(entry, path, issues);
+  if (isPlainObject(entry) && entry.type !== undefined) return [validateTrack(entry, path, issues)].filter(Boolean);
+
+  issues.push(`${path}: expected a preset name, { "preset": ... } or a track with a "type", got ${describe(entry)}`);
+  return [];
+};
+
+// Clip names can't be checked until the GLB loads; useClips warns about those.
+const validateClips = (clips, path, issues) => {
+  if (clips === undefined || clips === null) return {};
+  if (!isPlainObject(clips)) {
+    issues.push(`${path}: expected an object, got ${describe(clips)}`);
+    return {};
+  }
+
+  const { autoplay, loop, ...rest } = clips;
+  checkFields(rest, { crossFade: 'number' }, path, issues);
+  const isName = (name) => typeof name === 'string' && name.length > 0;
+  if (autoplay !== undefined && !isName(autoplay) && !(Array.isArray(autoplay) && autoplay.every(isName))) {
+    issues.push(`${path}.autoplay: expected a clip name, an array of clip names or "all", got ${describe(autoplay)}`);
+  }
+  if (loop !== undefined && !LOOP_MODES[loop]) {
+    issues.push(`${path}.loop: expected one of ${Object.keys(LOOP_MODES).join(', ')}, got ${describe(loop)}`);
+  }
+  return clips;
+};
+
+// Normalizes a model's animation (one entry or an array of them) to a flat
+// list of tracks.
+const validateAnimation = (animation, path, issues) => {
+  if (animation === undefined || animation === null) return [];
+  if (Array.isArray(animation)) {
+    return animation.flatMap((entry, index) => validateAnimationEntry(entry, `${path}[${index}]`, issues));
+  }
+  return validateAnimationEntry(animation, path, issues);
+};
+
+const validateModels = (models, issues) => {
+  if (!Array.isArray(models) || models.length === 0) {
+    issues.push(`models: expected a non-empty array, got ${describe(models)}`);
+    return [];
+  }
+
+  const seenIds = new Set();
+  return models.map((model, index) => {
+    const path = `models[${index}]`;
+    if (!isPlainObject(model)) {
+      issues.push(`${path}: expected an object, got ${describe(model)}`);
+      return null;
+    }
+
+    const { id, path: modelPath, animation, clips, ...transform } = model;
+    if (typeof modelPath !== 'string' || !/\.(glb|gltf)$/i.test(modelPath)) {
+      issues.push(`${path}.path: expected a path to a .glb or .gltf file, got ${describe(modelPath)}`);
+    }
+
+    const modelId = id ?? modelPath;
+    if (typeof modelId !== 'string') {
+      issues.push(`${path}.id: expected a string, got ${describe(id)}`);
+    } else if (seenIds.has(modelId)) {
+      issues.push(`${path}.id: duplicate id "${modelId}"`);
+    }
+    seenIds.add(modelId);
+
+    checkFields(transform, { position: 'vec3', rotation: 'vec3', scale: 'scale', sway: 'boolean', inspectable: 'boolean', switch: 'string', fallback: 'fallback' }, path, issues);
+
+    return {
+      position: [0, 0, 0],
+      rotation: [0, 0, 0],
+      scale: 1,
+      sway: true,
+      inspectable: true,
+      fallback: 'box',
+      ...transform,
+      id: modelId,
+      path: modelPath,
+      animation: validateAnimation(animation, `${path}.animation`, issues),
+      clips: validateClips(clips, `${path}.clips`, issues),
+    };
+  });
+};
+
+const validateLights = (lights, issues) => {
+  if (lights === undefined) return [];
+  if (!Array.isArray(lights)) {
+    issues.push(`lights: expected an array, got ${describe(lights)}`);
+    return [];
+  }
+
+  return lights.map((light, index) => {
+    const path = `lights[${index}]`;
+    if (!isPlainObject(light)) {
+      issues.push(`${path}: expected an object, got ${describe(light)}`);
+      return null;
+    }
+
+    const { id, type, sway, switch: switchId, cycle, ...props } = light;
+    if (!LIGHT_FIELDS[type]) {
+      issues.push(`${path}.type: expected one of ${Object.keys(LIGHT_FIELDS).join(', ')}, got ${describe(type)}`);
+      return null;
+    }
+    if (id !== undefined && typeof id !== 'string') {
+      issues.push(`${path}.id: expected a string, got ${describe(id)}`);
+    }
+    if (sway !== undefined && typeof sway !== 'boolean') {
+      issues.push(`${path}.sway: expected true or false, got ${describe(sway)}`);
+    }
+    if (switchId !== undefined && typeof switchId !== 'string') {
+      issues.push(`${path}.switch: expected a hotspot id, got ${describe(switchId)}`);
+    }
+    if (cycle !== undefined && !LIGHT_CYCLES.includes(cycle)) {
+      issues.push(`${path}.cycle: expected one of ${LIGHT_CYCLES.join(', ')}, got ${describe(cycle)}`);
+    }
+    checkFields(props, LIGHT_FIELDS[type], path, issues);
+
+    return { id: id ?? `${type}-${index}`, type, sway: sway ?? true, switch: switchId, cycle, props };
+  });
+};
+
+const validateHotspots = (hotspots, issues) => {
+  if (hotspots === undefined) return [];
+  if (!Array.isArray(hotspots)) {
+    issues.push(`hotspots: expected an array, got ${describe(hotspots)}`);
+    return [];
+  }
+
+  const ids = new Set();
+  return hotspots.map((hotspot, index) => {
+    const path = `hotspots[${index}]`;
+    if (!isPlainObject(hotspot)) {
+      issues.push(`${path}: expected an object, got ${describe(hotspot)}`);
+      return null;
+    }
+
+    const { id, match, action = 'toggle', initial = true, emissive = [], clip, target, ...rest } = hotspot;
+    Object.keys(rest).forEach(key => issues.push(`${path}.${key}: unknown field (expected one of id, match, action, initial, emissive, clip, target)`));
+    if (typeof id !== 'string') {
+      issues.push(`${path}.id: expected a string, got ${describe(id)}`);
+    } else if (ids.has(id)) {
+      issues.push(`${path}.id: duplicate hotspot "${id}"`);
+    }
+    ids.add(id);
+
+    if (!isPlainObject(match) || Object.keys(match).length === 0) {
+      issues.push(`${path}.match: expected an object with at least one of model, meshName, tag, preset`);
+    } else {
+      checkFields(match, MATCH_FIELDS, `${path}.match`, issues);
+    }
+    if (!hotspotActions[action]) {
+      issues.push(`${path}.action: expected one of ${Object.keys(hotspotActions).join(', ')}, got ${describe(action)}`);
+    }
+    if (typeof initial !== 'boolean') {
+      issues.push(`${path}.initial: expected true or false, got ${describe(initial)}`);
+    }
+    if (action === 'clip') {
+      checkFields(target === undefined ? { clip } : { clip, target }, { clip: 'string', target: 'string' }, path, issues);
+      if (target === undefined && typeof match?.model !== 'string') {
+        issues.push(`${path}.target: required when match has no model`);
+      }
+    }
+    if (!Array.isArray(emissive) || emissive.some(key => !materials[key])) {
+      issues.push(`${path}.emissive: expected an array of preset keys from materials.js, got ${JSON.stringify(emissive)}`);
+    }
+
+    return { id, match, action, initial, emissive, clip, target: target ?? match?.model };
+  });
+};
+
+// Every `switch` on a model or light must name a toggle hotspot, and every
+// clip hotspot a model.
+const checkSwitches = ({ models, lights, hotspots, screen }, issues) => {
+  const modelIds = new Set(models.map(model => model?.id));
+  hotspots.forEach((hotspot, index) => {
+    if (hotspot?.action === 'clip' && typeof hotspot.target === 'string' && !modelIds.has(hotspot.target)) {
+      issues.push(`hotspots[${index}].target: no model with id "${hotspot.target}"`);
+    }
+  });
+
+  const toggles = new Set(hotspots.filter(hotspot => hotspot?.action === 'toggle').map(hotspot => hotspot.id));
+  [['models', models], ['lights', lights]].forEach(([section, entries]) => {
+    entries.forEach((entry, index) => {
+      if (entry?.switch !== undefined && !toggles.has(entry.switch)) {
+        issues.push(`${section}[${index}].switch: no toggle hotspot with id "${entry.switch}"`);
+      }
+    });
+  });
+  if (screen?.switch !== undefined && !toggles.has(screen.switch)) {
+    issues.push(`screen.switch: no toggle hotspot with id "${screen.switch}"`);
+  }
+};
+
+// Physics entries match meshes like hotspots, but always name their model.
+// Bodies are simulated in the swaying room group, so the model must be in it.
+const validatePhysicsMatch = (match, path, models, issues) => {
+  if (!isPlainObject(match)) {
+    issues.push(`${path}: expected an object with a model and any of meshName, tag, preset, got ${describe(match)}`);
+    return;
+  }
+  checkFields(match, MATCH_FIELDS, path, issues);
+  const model = models.find(entry => entry?.id === match.model);
+  if (!model) {
+    issues.push(`${path}.model: expected the id of a model, got ${describe(match.model)}`);
+  } else if (!model.sway) {
+    issues.push(`${path}.model: "${match.model}" has "sway": false, and physics only runs in the swaying room`);
+  }
+};
+
+const validatePhysicsEntries = (entries, section, fields, defaults, models, issues) => {
+  if (!Array.isArray(entries)) {
+    issues.push(`physics.${section}: expected an array, got ${describe(entries)}`);
+    return [];
+  }
+
+  return entries.map((entry, index) => {
+    const path = `physics.${section}[${index}]`;
+    if (!isPlainObject(entry)) {
+      issues.push(`${path}: expected an object, got ${describe(entry)}`);
+      return null;
+    }
+
+    const { match, ...settings } = entry;
+    validatePhysicsMatch(match, `${path}.match`, models, issues);
+    checkFields(settings, fields, path, issues);
+    return { ...defaults, ...settings, match };
+  });
+};
+
+const validatePhysics = (physics, models, issues) => {
+  if (physics === undefined || physics === null) return null;
+  if (!isPlainObject(physics)) {
+    issues.push(`physics: expected an object or null, got ${describe(physics)}`);
+    return null;
+  }
+
+  const { gravity = [0, -9.81, 0], colliders = [], props = [], ...rest } = physics;
+  Object.keys(rest).forEach(key => issues.push(`physics.${key}: unknown field (expected one of gravity, colliders, props)`));
+  checkFields({ gravity }, { gravity: 'vec3' }, 'physics', issues);
+
+  return {
+    gravity,
+    colliders: validatePhysicsEntries(colliders, 'colliders', { shape: 'colliderShape' }, { shape: 'surfaces' }, models, issues),
+    props: validatePhysicsEntries(props, 'props', { mass: 'mass' }, { mass: 1 }, models, issues),
+  };
+};
+
+const SCREEN_FIELDS = { width: 'number', lights: 'idList', switch: 'string', interactiveZoom: 'number', color: 'color' };
+
+// The screen's content and the mesh it goes on; see screen.js.
+const validateScreen = (screen, models, lights, issues) => {
+  if (screen === undefined || screen === null) return null;
+  if (!isPlainObject(screen)) {
+    issues.push(`screen: expected an object or null, got ${describe(screen)}`);
+    return null;
+  }
+
+  const { match, content, ...settings } = screen;
+  if (!isPlainObject(match)) {
+    issues.push(`screen.match: expected an object with a model and any of meshName, tag, preset, got ${describe(match)}`);
+  } else {
+    checkFields(match, MATCH_FIELDS, 'screen.match', issues);
+    if (!models.some(model => model?.id === match.model)) {
+      issues.push(`screen.match.model: expected the id of a model, got ${describe(match.model)}`);
+    }
+  }
+
+  const contentType = SCREEN_CONTENT_TYPES[content?.type];
+  if (!contentType) {
+    issues.push(`screen.content.type: expected one of ${Object.keys(SCREEN_CONTENT_TYPES).join(', ')}, got ${describe(content?.type)}`);
+  } else {
+    const { type, ...fields } = content;
+    checkFields(fields, contentType.fields, 'screen.content', issues);
+    contentType.required.filter(field => fields[field] === undefined).forEach((field) => {
+      issues.push(`screen.content.${field}: required for "${type}" content`);
+    });
+  }
+
+  checkFields(settings, SCREEN_FIELDS, 'screen', issues);
+  ['width', 'interactiveZoom'].filter(field => isNumber(settings[field]) && settings[field] <= 0).forEach((field) => {
+    issues.push(`screen.${field}: expected a number above 0, got ${settings[field]}`);
+  });
+  const lightIds = new Set(lights.map(light => light?.id));
+  (Array.isArray(settings.lights) ? settings.lights : []).filter(id => !lightIds.has(id)).forEach((id) => {
+    issues.push(`screen.lights: no light with id "${id}"`);
+  });
+
+  return {
+    width: 1024,
+    lights: [],
+    interactiveZoom: 2,
+    color: null,
+    ...settings,
+    match,
+    content: { ...contentType?.defaults, ...content },
+  };
+};
+
+const validateAudio = (audio, issues) => {
+  if (audio === undefined || audio === null) return null;
+  if (!isPlainObject(audio)) {
+    issues.push(`audio: expected an object or null, got ${describe(audio)}`);
+    return null;
+  }
+
+  const { tracks, ...settings } = audio;
+  checkFields(settings, { volume: 'number', shuffle: 'boolean' }, 'audio', issues);
+  if (isNumber(settings.volume) && (settings.volume < 0 || settings.volume > 1)) {
+    issues.push(`audio.volume: expected a number between 0 and 1, got ${settings.volume}`);
+  }
+
+  if (!Array.isArray(tracks)) {
+    issues.push(`audio.tracks: expected an array, got ${describe(tracks)}`);
+    return null;
+  }
+  tracks.forEach((track, index) => {
+    const path = `audio.tracks[${index}]`;
+    if (!isPlainObject(track)) {
+      issues.push(`${path}: expected an object, got ${describe(track)}`);
+      return;
+    }
+    checkFields(track, { title: 'string', src: 'string', videoId: 'string' }, path, issues);
+    if ((track.src === undefined) === (track.videoId === undefined)) {
+      issues.push(`${path}: expected exactly one of "src" (a file in public/) or "videoId" (YouTube)`);
+    }
+  });
+
+  return { volume: 1, shuffle: false, ...settings, tracks };
+};
+
+const validateTimeOfDay = (timeOfDay, issues) => {
+  if (timeOfDay === undefined || timeOfDay === null) return null;
+  if (!isPlainObject(timeOfDay)) {
+    issues.push(`timeOfDay: expected an object or null, got ${describe(timeOfDay)}`);
+    return null;
+  }
+
+  const { mode = 'fixed', hour = REFERENCE_HOUR, emissive = [], keyframes, ...rest } = timeOfDay;
+  Object.keys(rest).forEach(key => issues.push(`timeOfDay.${key}: unknown field (expected one of mode, hour, emissive, keyframes)`));
+  if (!['clock', 'fixed'].includes(mode)) {
+    issues.push(`timeOfDay.mode: expected "clock" or "fixed", got ${describe(mode)}`);
+  }
+  if (!isNumber(hour) || hour < 0 || hour > 24) {
+    issues.push(`timeOfDay.hour: expected a number between 0 and 24, got ${describe(hour)}`);
+  }
+  if (!Array.isArray(emissive) || emissive.some(key => !materials[key])) {
+    issues.push(`timeOfDay.emissive: expected an array of preset keys from materials.js, got ${JSON.stringify(emissive)}`);
+  }
+  if (keyframes !== undefined) {
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+      issues.push(`timeOfDay.keyframes: expected an array of at least 2 keyframes, got ${describe(keyframes)}`);
+    } else {
+      keyframes.forEach((keyframe, index) => {
+        const path = `timeOfDay.keyframes[${index}]`;
+        if (!isPlainObject(keyframe)) {
+          issues.push(`${path}: expected an object, got ${describe(keyframe)}`);
+          return;
+        }
+        Object.keys(KEYFRAME_FIELDS).filter(key => !(key in keyframe)).forEach(key => issues.push(`${path}.${key}: missing`));
+        checkFields(keyframe, KEYFRAME_FIELDS, path, issues);
+      });
+    }
+  }
+
+  return { mode, hour, emissive, keyframes };
+};
+
+const WEATHER_FIELDS = {
+  initial: 'weather',
+  intensity: 'fraction',
+  feed: 'string',
+  pollInterval: 'number',
+  transition: 'number',
+  margin: 'number',
+  volume: 'fraction',
+};
+
+// Particles outside the room and their sounds; see weather.js.
+const validateWeather = (weather, issues) => {
+  if (weather === undefined || weather === null) return null;
+  if (!isPlainObject(weather)) {
+    issues.push(`weather: expected an object or null, got ${describe(weather)}`);
+    return null;
+  }
+
+  const { area, sounds = {}, ...settings } = weather;
+  checkFields(settings, WEATHER_FIELDS, 'weather', issues);
+  if (isNumber(settings.pollInterval) && settings.pollInterval <= 0) {
+    issues.push(`weather.pollInterval: expected a number above 0, got ${settings.pollInterval}`);
+  }
+  ['transition', 'margin'].filter(field => isNumber(settings[field]) && settings[field] < 0).forEach((field) => {
+    issues.push(`weather.${field}: expected a number of at least 0, got ${settings[field]}`);
+  });
+
+  if (area !== undefined) {
+    if (!isPlainObject(area) || !isVector(area.min, 3) || !isVector(area.max, 3) || area.min.some((value, axis) => value >= area.max[axis])) {
+      issues.push(`weather.area: expected { "min": [x, y, z], "max": [x, y, z] } with min below max, got ${JSON.stringify(area)}`);
+    }
+  }
+
+  if (!isPlainObject(sounds)) {
+    issues.push(`weather.sounds: expected an object of weather name -> audio file, got ${describe(sounds)}`);
+  } else {
+    checkFields(sounds, Object.fromEntries(WEATHER_NAMES.map(name => [name, 'string'])), 'weather.sounds', issues);
+  }
+
+  return {
+    initial: 'clear',
+    intensity: 1,
+    feed: null,
+    pollInterval: 600,
+    transition: 3,
+    area: area ?? null,
+    margin: 4,
+    sounds: isPlainObject(sounds) ? sounds : {},
+    volume: 0.5,
+    ...settings,
+  };
+};
+
+const validateEnvironment = (environment, issues) => {
+  if (environment === undefined || environment === null) return null;
+  if (!isPlainObject(environment)) {
+    issues.push(`environment: expected an object or null, got ${describe(environment)}`);
+    return null;
+  }
+
+  const { preset, files, ...rest } = environment;
+  if (files !== undefined) {
+    // An HDR or EXR in public/, in place of a preset fetched from drei's CDN.
+    if (typeof files !== 'string' || files === '') {
+      issues.push(`environment.files: expected a file path, got ${describe(files)}`);
+    }
+    if (preset !== undefined) issues.push('environment: give either `preset` or `files`, not both');
+  } else if (!ENVIRONMENT_PRESETS.includes(preset)) {
+    issues.push(`environment.preset: expected one of ${ENVIRONMENT_PRESETS.join(', ')}, got ${describe(preset)}`);
+  }
+  checkFields(rest, { environmentIntensity: 'number', backgroundIntensity: 'number' }, 'environment', issues);
+  return environment;
+};
+
+const validateCamera = (camera, issues) => {
+  if (camera === undefined) return DEFAULT_CAMERA;
+  if (!isPlainObject(camera)) {
+    issues.push(`camera: expected an object, got ${describe(camera)}`);
+    return DEFAULT_CAMERA;
+  }
+
+  const { defaultView, transition = {}, views, ...rest } = camera;
+  Object.keys(rest).forEach(key => issues.push(`camera.${key}: unknown field (expected one of defaultView, transition, views)`));
+
+  if (!isPlainObject(transition)) {
+    issues.push(`camera.transition: expected an object, got ${describe(transition)}`);
+  } else {
+    const { easing, ...timing } = transition;
+    checkFields(timing, { duration: 'number' }, 'camera.transition', issues);
+    if (easing !== undefined && !easings[easing]) {
+      issues.push(`camera.transition.easing: expected one of ${Object.keys(easings).join(', ')}, got ${describe(easing)}`);
+    }
+  }
+
+  if (!Array.isArray(views) || views.length === 0) {
+    issues.push(`camera.views: expected a non-empty array, got ${describe(views)}`);
+    return DEFAULT_CAMERA;
+  }
+
+  const names = new Set();
+  const normalizedViews = views.map((view, index) => {
+    const path = `camera.views[${index}]`;
+    if (!isPlainObject(view)) {
+      issues.push(`${path}: expected an object, got ${describe(view)}`);
+      return null;
+    }
+
+    const { name, label, ...fields } = view;
+    if (typeof name !== 'string') {
+      issues.push(`${path}.name: expected a string, got ${describe(name)}`);
+    } else if (names.has(name)) {
+      issues.push(`${path}.name: duplicate view "${name}"`);
+    }
+    names.add(name);
+    if (label !== undefined && typeof label !== 'string') {
+      issues.push(`${path}.label: expected a string, got ${describe(label)}`);
+    }
+    if (!isVector(fields.position, 3)) {
+      issues.push(`${path}.position: expected an array of 3 numbers, got ${describe(fields.position)}`);
+    }
+    checkFields(fields, { position: 'vec3', target: 'vec3', zoom: 'number' }, path, issues);
+
+    return { target: [2, 2, 0], zoom: 1, ...fields, name, label: label ?? String(name).toUpperCase() };
+  });
+
+  const initialView = defaultView ?? normalizedViews[0]?.name;
+  if (!names.has(initialView)) {
+    issues.push(`camera.defaultView: no view named ${describe(initialView)}`);
+  }
+
+  return {
+    defaultView: initialView,
+    transition: { ...DEFAULT_CAMERA.transition, ...transition },
+    views: normalizedViews,
+  };
+};
+
+const validateQuality = (value, path, issues) => {
+  if (!QUALITY_LEVELS.includes(value)) {
+    issues.push(`${path}: expected one of ${QUALITY_LEVELS.join(', ')}, got ${describe(value)}`);
+  }
+};
+
+const validatePostprocessing = (postprocessing, issues) => {
+  const empty = { defaultQuality: 'high', effects: [] };
+  if (postprocessing === undefined || postprocessing === null) return empty;
+  if (!isPlainObject(postprocessing)) {
+    issues.push(`postprocessing: expected an object, got ${describe(postprocessing)}`);
+    return empty;
+  }
+
+  const { defaultQuality = 'high', effects = [], ...rest } = postprocessing;
+  Object.keys(rest).forEach(key => issues.push(`postprocessing.${key}: unknown field (expected one of defaultQuality, effects)`));
+  validateQuality(defaultQuality, 'postprocessing.defaultQuality', issues);
+  if (!Array.isArray(effects)) {
+    issues.push(`postprocessing.effects: expected an array, got ${describe(effects)}`);
+    return { ...empty, defaultQuality };
+  }
+
+  const normalizedEffects = effects.map((effect, index) => {
+    const path = `postprocessing.effects[${index}]`;
+    if (!isPlainObject(effect)) {
+      issues.push(`${path}: expected an object, got ${describe(effect)}`);
+      return null;
+    }
+
+    const { type, enabled = true, minQuality, maxQuality, ...settings } = effect;
+    const effectType = effectTypes[type];
+    if (!effectType) {
+      issues.push(`${path}.type: expected one of ${Object.keys(effectTypes).join(', ')}, got ${describe(type)}`);
+      return null;
+    }
+    if (typeof enabled !== 'boolean') {
+      issues.push(`${path}.enabled: expected true or false, got ${describe(enabled)}`);
+    }
+    if (minQuality !== undefined) validateQuality(minQuality, `${path}.minQuality`, issues);
+    if (maxQuality !== undefined) validateQuality(maxQuality, `${path}.maxQuality`, issues);
+    checkFields(settings, effectType.fields, path, issues);
+    if (type === 'toneMapping' && settings.mode !== undefined && !(settings.mode in toneMappingModes)) {
+      issues.push(`${path}.mode: expected one of ${Object.keys(toneMappingModes).join(', ')}, got ${describe(settings.mode)}`);
+    }
+
+    return {
+      type,
+      enabled,
+      minQuality: minQuality ?? effectType.minQuality,
+      maxQuality: maxQuality ?? effectType.maxQuality ?? 'high',
+      settings,
+    };
+  });
+
+  return { defaultQuality, effects: normalizedEffects };
+};
+
+// --- Public API ---
+
+/**
+ * Validates a raw scene manifest and fills in defaults. Collects every problem
+ * before throwing so artists can fix a whole file in one pass.
+ */
+export const validateSceneManifest = (manifest, sceneName = manifest?.name ?? 'unnamed') => {
+  const issues = [];
+
+  if (!isPlainObject(manifest)) {
+    throw new SceneManifestError(sceneName, [`expected a JSON object, got ${describe(manifest)}`]);
+  }
+  if (manifest.background !== undefined && !isColor(manifest.background)) {
+    issues.push(`background: expected a hex color like "#9CB9E7", got ${describe(manifest.background)}`);
+  }
+
+  const models = validateModels(manifest.models, issues);
+  const lights = validateLights(manifest.lights, issues);
+  const normalized = {
+    name: sceneName,
+    background: manifest.background ?? '#9CB9E7',
+    camera: validateCamera(manifest.camera, issues),
+    environment: validateEnvironment(manifest.environment, issues),
+    models,
+    lights,
+    hotspots: validateHotspots(manifest.hotspots, issues),
+    audio: validateAudio(manifest.audio, issues),
+    timeOfDay: validateTimeOfDay(manifest.timeOfDay, issues),
+    weather: validateWeather(manifest.weather, issues),
+    postprocessing: validatePostprocessing(manifest.postprocessing, issues),
+    physics: validatePhysics(manifest.physics, models, issues),
+    screen: validateScreen(manifest.screen, models, lights, issues),
+  };
+
+  checkSwitches(normalized, issues);
+
+  if (issues.length > 0) {
+    throw new SceneManifestError(sceneName, issues);
+  }
+  return normalized;
+};
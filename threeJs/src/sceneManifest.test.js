@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { SceneManifestError, validateSceneManifest } from './sceneManifest.js';
+import { REFERENCE_HOUR } from './timeOfDay.js';
+
+const room = JSON.parse(readFileSync(new URL('./scenes/room.json', import.meta.url), 'utf8'));
+
+const minimal = { models: [{ path: 'models/chair.glb' }] };
+
+// Validates a manifest expected to fail and returns its issues.
+const issuesOf = (manifest) => {
+  try {
+    validateSceneManifest(manifest, 'test');
+  } catch (error) {
+    assert.ok(error instanceof SceneManifestError);
+    assert.equal(error.sceneName, 'test');
+    return error.issues;
+  }
+  assert.fail('expected the manifest to be rejected');
+};
+
+// --- Valid Manifests ---
+
+test('the shipped room validates', () => {
+  const scene = validateSceneManifest(room, 'room');
+  assert.equal(scene.name, 'room');
+  assert.equal(scene.models.length, room.models.length);
+});
+
+test('a manifest with only a model gets every default', () => {
+  const scene = validateSceneManifest(minimal, 'test');
+  assert.equal(scene.background, '#9CB9E7');
+  assert.equal(scene.camera.defaultView, 'front');
+  assert.deepEqual(scene.models[0], {
+    position: [0, 0, 0],
+    rotation: [0, 0, 0],
+    scale: 1,
+    sway: true,
+    inspectable: true,
+    fallback: 'box',
+    id: 'models/chair.glb',
+    path: 'models/chair.glb',
+    animation: [],
+    clips: {},
+  });
+  assert.deepEqual(scene.lights, []);
+  assert.deepEqual(scene.hotspots, []);
+  assert.deepEqual(scene.postprocessing, { defaultQuality: 'high', effects: [] });
+  ['environment', 'audio', 'timeOfDay', 'weather', 'physics', 'screen'].forEach(section => assert.equal(scene[section], null));
+});
+
+test('sections fill in their own defaults', () => {
+  const scene = validateSceneManifest({
+    ...minimal,
+    lights: [{ type: 'point' }],
+    hotspots: [{ id: 'lamp', match: { tag: 'lamp' } }],
+    timeOfDay: {},
+    camera: { views: [{ name: 'side', position: [1, 2, 3] }] },
+  }, 'test');
+
+  assert.deepEqual(scene.lights[0], { id: 'point-0', type: 'point', sway: true, switch: undefined, cycle: undefined, props: {} });
+  assert.equal(scene.hotspots[0].action, 'toggle');
+  assert.equal(scene.hotspots[0].initial, true);
+  assert.deepEqual(scene.timeOfDay, { mode: 'fixed', hour: REFERENCE_HOUR, emissive: [], keyframes: undefined });
+  assert.equal(scene.camera.defaultView, 'side');
+  assert.deepEqual(scene.camera.views[0], { target: [2, 2, 0], zoom: 1, position: [1, 2, 3], name: 'side', label: 'SIDE' });
+});
+
+test('an animation preset expands to its tracks with the options folded in', () => {
+  const scene = validateSceneManifest({ models: [{ path: 'a.glb', animation: { preset: 'fan', speed: 2 } }] }, 'test');
+  assert.deepEqual(scene.models[0].animation, [
+    { type: 'oscillate', property: 'rotation.y', amount: Math.PI / 4, period: 2 * Math.PI, speed: 2, amplitude: 1, phase: 0, motionSensitive: false },
+  ]);
+});
+
+// --- Errors ---
+
+test('anything but an object is rejected outright', () => {
+  assert.deepEqual(issuesOf([]), ['expected a JSON object, got array of length 0']);
+});
+
+test('models must be a non-empty list of .glb or .gltf files with unique ids', () => {
+  assert.deepEqual(issuesOf({ models: [] }), ['models: expected a non-empty array, got array of length 0']);
+  assert.deepEqual(issuesOf({ models: [{ path: 'chair.obj' }] }), ['models[0].path: expected a path to a .glb or .gltf file, got "chair.obj"']);
+  assert.deepEqual(issuesOf({ models: [{ path: 'a.glb' }, { path: 'a.glb' }] }), ['models[1].id: duplicate id "a.glb"']);
+});
+
+test('unknown and mistyped fields name the field and what was expected', () => {
+  assert.deepEqual(issuesOf({ models: [{ path: 'a.glb', scale: 'big' }] }), ['models[0].scale: expected a number or an array of 3 numbers, got "big"']);
+  assert.match(issuesOf({ models: [{ path: 'a.glb', size: 2 }] })[0], /^models\[0\]\.size: unknown field \(expected one of position, /);
+});
+
+test('lights need a known type and fields of that type', () => {
+  assert.match(issuesOf({ ...minimal, lights: [{ type: 'spot' }] })[0], /^lights\[0\]\.type: expected one of ambient, /);
+  assert.deepEqual(issuesOf({ ...minimal, lights: [{ type: 'point', color: 'red' }] }), ['lights[0].color: expected a hex color like "#ffa500", got "red"']);
+  assert.match(issuesOf({ ...minimal, lights: [{ type: 'ambient', cycle: 'moon' }] })[0], /^lights\[0\]\.cycle: /);
+});
+
+test('an environment takes a known preset or files, not both', () => {
+  assert.match(issuesOf({ ...minimal, environment: { preset: 'mars' } })[0], /^environment\.preset: expected one of apartment, /);
+  assert.deepEqual(issuesOf({ ...minimal, environment: { preset: 'city', files: 'sky.exr' } }), ['environment: give either `preset` or `files`, not both']);
+  assert.deepEqual(issuesOf({ ...minimal, environment: { files: '' } }), ['environment.files: expected a file path, got ""']);
+});
+
+test('time of day checks its mode, hour and keyframes', () => {
+  assert.deepEqual(issuesOf({ ...minimal, timeOfDay: { mode: 'real' } }), ['timeOfDay.mode: expected "clock" or "fixed", got "real"']);
+  assert.deepEqual(issuesOf({ ...minimal, timeOfDay: { hour: 25 } }), ['timeOfDay.hour: expected a number between 0 and 24, got number']);
+  assert.match(issuesOf({ ...minimal, timeOfDay: { keyframes: [{}] } })[0], /^timeOfDay\.keyframes: expected an array of at least 2 keyframes/);
+});
+
+test('hotspots need a unique id, a match and a known action', () => {
+  const hotspot = { id: 'lamp', match: { tag: 'lamp' } };
+  assert.deepEqual(issuesOf({ ...minimal, hotspots: [hotspot, hotspot] }), ['hotspots[1].id: duplicate hotspot "lamp"']);
+  assert.deepEqual(issuesOf({ ...minimal, hotspots: [{ id: 'lamp', match: {} }] }), ['hotspots[0].match: expected an object with at least one of model, meshName, tag, preset']);
+  assert.match(issuesOf({ ...minimal, hotspots: [{ ...hotspot, action: 'explode' }] })[0], /^hotspots\[0\]\.action: expected one of /);
+});
+
+test('a switch must name a toggle hotspot', () => {
+  assert.deepEqual(
+    issuesOf({ models: [{ path: 'a.glb', switch: 'lamp' }], lights: [{ type: 'point', switch: 'lamp' }] }),
+    ['models[0].switch: no toggle hotspot with id "lamp"', 'lights[0].switch: no toggle hotspot with id "lamp"'],
+  );
+});
+
+test('every problem in a manifest is reported together', () => {
+  const issues = issuesOf({
+    background: 'blue',
+    models: [{ path: 'a.glb' }],
+    lights: [{ type: 'point', intensity: 'bright' }],
+    camera: { views: [] },
+  });
+  assert.deepEqual(issues, [
+    'background: expected a hex color like "#9CB9E7", got "blue"',
+    'lights[0].intensity: expected a number, got "bright"',
+    'camera.views: expected a non-empty array, got array of length 0',
+  ]);
+});
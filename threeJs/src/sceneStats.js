@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useMaterialStore } from './materialStore.js';
+
+const collectSceneStats = (gl, scene, store) => {
+  const materials = new Set();
+  const geometries = new Set();
+
+  scene.traverse(object => {
+    if (object.geometry) geometries.add(object.geometry);
+    [object.material].flat().forEach(material => material && materials.add(material));
+  });
+
+  return {
+    materials: materials.size,
+    sharedMaterials: store.getSharedMaterialCount(),
+    geometries: geometries.size,
+    gpuGeometries: gl.info.memory.geometries,
+    gpuTextures: gl.info.memory.textures,
+    programs: gl.info.programs?.length ?? 0,
+  };
+};
+
+/**
+ * Samples live material, geometry and texture counts every `interval` ms.
+ * Must be used inside the Canvas. Counts that keep climbing while models are
+ * mounted and unmounted point to a leak.
+ */
+export const useSceneStats = (interval = 1000) => {
+  const { gl, scene } = useThree();
+  const store = useMaterialStore();
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const sample = () => setStats(collectSceneStats(gl, scene, store));
+    sample();
+    const id = setInterval(sample, interval);
+    return () => clearInterval(id);
+  }, [gl, scene, store, interval]);
+
+  return stats;
+};
@@ -0,0 +1,15 @@
+import { DEFAULT_SCENE, SceneManifestError, validateSceneManifest } from './sceneManifest.js';
+
+// Every JSON file in ./scenes is a room that can be loaded with `?scene=<name>`.
+// Kept apart from the validator, which runs under plain Node in the unit tests
+// where import.meta.glob doesn't exist.
+const sceneFiles = import.meta.glob('./scenes/*.json', { eager: true, import: 'default' });
+
+export const loadSceneManifest = (sceneName = DEFAULT_SCENE) => {
+  const manifest = sceneFiles[`./scenes/${sceneName}.json`];
+  if (!manifest) {
+    const available = Object.keys(sceneFiles).map(file => file.replace(/^\.\/scenes\/|\.json$/g, ''));
+    throw new SceneManifestError(sceneName, [`no manifest found (available scenes: ${available.join(', ')})`]);
+  }
+  return validateSceneManifest(manifest, sceneName);
+};
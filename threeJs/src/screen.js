@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+
+// Live content on a screen mesh (the monitor), from the manifest's `screen`
+// section. The content sits on a plane laid over the mesh's largest flat face
+// and parented to the mesh, so it follows the room's sway; the mesh itself
+// is left alone, so its hotspot and material preset keep working.
+//
+// content types:
+//   html     a React panel from ScreenContent.jsx, by `component` name
+//   iframe   a page, by `src` URL
+//   video    a video file or URL as a texture, by `src`
+//   canvas   a texture drawn every frame by one of the painters below
+// `html` and `iframe` are real DOM (drei's <Html transform>): they take pointer
+// input but don't show up in captures. Textures do.
+
+export const SCREEN_COMPONENTS = ['clock', 'nowPlaying'];
+
+// Painter name -> (context, { width, height, time }) drawing one frame.
+export const SCREEN_PAINTERS = {
+  // Grey static, in blocks so it reads at monitor size.
+  noise: (context, { width, height }) => {
+    const block = 4;
+    for (let y = 0; y < height; y += block) {
+      for (let x = 0; x < width; x += block) {
+        const value = Math.floor(Math.random() * 200) + 30;
+        context.fillStyle = `rgb(${value}, ${value}, ${value})`;
+        context.fillRect(x, y, block, block);
+      }
+    }
+  },
+};
+
+// Content type -> its fields (manifest field checks), the ones it needs and
+// the defaults of the rest.
+export const SCREEN_CONTENT_TYPES = {
+  html: { fields: { component: 'screenComponent' }, required: ['component'], defaults: {} },
+  iframe: { fields: { src: 'string' }, required: ['src'], defaults: {} },
+  video: { fields: { src: 'string', loop: 'boolean', muted: 'boolean' }, required: ['src'], defaults: { loop: true, muted: true } },
+  canvas: { fields: { painter: 'screenPainter' }, required: ['painter'], defaults: {} },
+};
+
+// How far the content floats off the face, in the mesh's units, so it never
+// z-fights with it.
+const FACE_OFFSET = 0.002;
+
+// Faces within this share of the largest one's area count as just as large.
+const AREA_TOLERANCE = 0.1;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const RIGHT = new THREE.Vector3(1, 0, 0);
+
+/**
+ * The largest flat face of `mesh`, as the plane content is laid on, in the
+ * mesh's own space. A thin box has two; the one facing `viewPoint` (world
+ * space) wins. Returns { position, quaternion, width, height }, with the
+ * plane's +z out of the face and +y as close to world up as the face allows.
+ */
+export const screenFace = (mesh, viewPoint) => {
+  const { index, attributes } = mesh.geometry;
+  const indices = index ? Array.from(index.array) : Array.from({ length: attributes.position.count }, (_, i) => i);
+  const points = Array.from({ length: attributes.position.count }, (_, i) => new THREE.Vector3().fromBufferAttribute(attributes.position, i));
+
+  // Triangles by plane: normal to within ~3° and offset to within 1cm.
+  const planes = new Map();
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(vertex => points[vertex]);
+    const cross = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+    const area = cross.length() / 2;
+    if (area === 0) continue;
+
+    const normal = cross.normalize();
+    const key = [...normal.toArray().map(value => Math.round(value * 20)), Math.round(normal.dot(a) * 100)].join();
+    if (!planes.has(key)) planes.set(key, { normal, area: 0, points: [] });
+    const plane = planes.get(key);
+    plane.area += area;
+    plane.points.push(a, b, c);
+  }
+
+  mesh.updateWorldMatrix(true, false);
+  const toView = mesh.worldToLocal(viewPoint.clone());
+  const largest = Math.max(...[...planes.values()].map(plane => plane.area));
+  const face = [...planes.values()]
+    .filter(plane => plane.area >= largest * (1 - AREA_TOLERANCE))
+    .sort((a, b) => toView.clone().sub(b.points[0]).dot(b.normal) - toView.clone().sub(a.points[0]).dot(a.normal))[0];
+
+  // World up as seen from inside the mesh, flattened onto the face.
+  const worldUp = UP.clone().transformDirection(mesh.matrixWorld.clone().invert());
+  const up = worldUp.projectOnPlane(face.normal);
+  if (up.lengthSq() < 1e-6) up.copy(RIGHT).projectOnPlane(face.normal);
+  up.normalize();
+  const right = new THREE.Vector3().crossVectors(up, face.normal);
+  const basis = new THREE.Matrix4().makeBasis(right, up, face.normal);
+
+  const bounds = new THREE.Box3().setFromPoints(face.points.map(point => point.clone().applyMatrix4(basis.clone().transpose())));
+  const center = bounds.getCenter(new THREE.Vector3());
+  const size = bounds.getSize(new THREE.Vector3());
+
+  return {
+    position: center.applyMatrix4(basis).addScaledVector(face.normal, FACE_OFFSET),
+    quaternion: new THREE.Quaternion().setFromRotationMatrix(basis),
+    width: size.x,
+    height: size.y,
+  };
+};
+
+/**
+ * Color a light takes on from the screen: the manifest's fixed `color` if it
+ * sets one, else the color last sampled from the content. Undefined for lights
+ * the screen doesn't list, or before anything has been sampled.
+ */
+export const screenLightColor = (screen, lightId, sampledColor) => {
+  if (!screen?.lights.includes(lightId)) return undefined;
+  return screen.color ?? sampledColor ?? undefined;
+};
+
+const SAMPLE_SIZE = 8;
+let sampleContext = null;
+
+/**
+ * Average color of a video or canvas, as '#rrggbb'. Null when there is nothing
+ * to read yet, or when a cross-origin video without CORS headers can't be read.
+ */
+export const averageColor = (source) => {
+  if (source instanceof HTMLVideoElement && source.readyState < source.HAVE_CURRENT_DATA) return null;
+  if (!sampleContext) {
+    const canvas = document.createElement('canvas');
+    canvas.width = SAMPLE_SIZE;
+    canvas.height = SAMPLE_SIZE;
+    sampleContext = canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  try {
+    sampleContext.drawImage(source, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    const { data } = sampleContext.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    const sum = [0, 0, 0];
+    for (let i = 0; i < data.length; i += 4) {
+      sum[0] += data[i];
+      sum[1] += data[i + 1];
+      sum[2] += data[i + 2];
+    }
+    const pixels = data.length / 4;
+    return `#${sum.map(total => Math.round(total / pixels).toString(16).padStart(2, '0')).join('')}`;
+  } catch {
+    return null;
+  }
+};
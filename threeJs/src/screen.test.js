@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import * as THREE from 'three';
+import { averageColor, screenFace, screenLightColor } from './screen.js';
+
+const screen = { lights: ['monitor-back', 'monitor-front'], color: null };
+
+test('listed lights follow the color sampled from the content', () => {
+  assert.equal(screenLightColor(screen, 'monitor-front', '#336699'), '#336699');
+});
+
+test('listed lights take a fixed screen color, sampled or not', () => {
+  const fixed = { ...screen, color: '#ff8800' };
+  assert.equal(screenLightColor(fixed, 'monitor-back', null), '#ff8800');
+  assert.equal(screenLightColor(fixed, 'monitor-front', '#336699'), '#ff8800');
+});
+
+test('other lights keep their own color', () => {
+  assert.equal(screenLightColor({ ...screen, color: '#ff8800' }, 'sun', '#336699'), undefined);
+  assert.equal(screenLightColor(null, 'monitor-back', '#336699'), undefined);
+});
+
+test('lights keep their own color until the content reports one', () => {
+  assert.equal(screenLightColor(screen, 'monitor-back', null), undefined);
+});
+
+// --- Screen Face ---
+
+const assertClose = (actual, expected) => {
+  actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-6, `${actual} is not ${expected}`));
+};
+
+// A monitor-like slab: 2 wide, 1 high, 0.1 deep.
+const monitor = (geometry = new THREE.BoxGeometry(2, 1, 0.1)) => new THREE.Mesh(geometry);
+
+test('content goes on the largest face, on the side facing the viewer', () => {
+  const front = screenFace(monitor(), new THREE.Vector3(0, 0, 5));
+  assertClose(front.position.toArray(), [0, 0, 0.052]);
+  assertClose([front.width, front.height], [2, 1]);
+  assertClose(front.quaternion.toArray(), [0, 0, 0, 1]);
+
+  const back = screenFace(monitor(), new THREE.Vector3(0, 0, -5));
+  assertClose(back.position.toArray(), [0, 0, -0.052]);
+  assertClose(new THREE.Vector3(0, 0, 1).applyQuaternion(back.quaternion).toArray(), [0, 0, -1]);
+});
+
+test('the viewer is found in world space and unindexed geometry works too', () => {
+  const mesh = monitor(new THREE.BoxGeometry(2, 1, 0.1).toNonIndexed());
+  mesh.position.set(0, 0, 10);
+  const face = screenFace(mesh, new THREE.Vector3(0, 0, 5));
+  assertClose(face.position.toArray(), [0, 0, -0.052]);
+});
+
+test('the content stays upright on a mesh turned on its side', () => {
+  const mesh = monitor();
+  mesh.rotation.z = Math.PI / 2;
+  const face = screenFace(mesh, new THREE.Vector3(0, 0, 5));
+  assertClose([face.width, face.height], [1, 2]);
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(face.quaternion).applyQuaternion(mesh.quaternion);
+  assertClose(up.toArray(), [0, 1, 0]);
+});
+
+// --- Average Color ---
+
+// Just enough of a 2D canvas to sample from: drawing a source copies its
+// `pixels` ([r, g, b] each), and drawing a `tainted` one throws like a
+// cross-origin image does.
+globalThis.HTMLVideoElement = class {
+  HAVE_CURRENT_DATA = 2;
+};
+globalThis.document = {
+  createElement: () => ({
+    getContext: () => {
+      let pixels = [];
+      return {
+        drawImage: (source) => {
+          if (source.tainted) throw new DOMException('tainted', 'SecurityError');
+          pixels = source.pixels;
+        },
+        getImageData: () => ({ data: pixels.flatMap(pixel => [...pixel, 255]) }),
+      };
+    },
+  }),
+};
+
+test('the average color is the mean of the sampled pixels', () => {
+  assert.equal(averageColor({ pixels: [[255, 0, 0], [0, 0, 255]] }), '#800080');
+  assert.equal(averageColor({ pixels: [[16, 32, 48], [16, 32, 48]] }), '#102030');
+});
+
+test('video is sampled once a frame is ready', () => {
+  const video = Object.assign(new HTMLVideoElement(), { readyState: 1, pixels: [[0, 0, 0]] });
+  assert.equal(averageColor(video), null);
+  video.readyState = 2;
+  assert.equal(averageColor(video), '#000000');
+});
+
+test('content that can\'t be read back has no color', () => {
+  assert.equal(averageColor({ tainted: true }), null);
+});
@@ -0,0 +1,111 @@
+import { useEffect, useMemo, useState } from 'react';
+import * as THREE from 'three';
+
+// Lighting keyframes over a 24h day. Intensities are multipliers on the values
+// authored in the scene manifest, so at REFERENCE_HOUR (sunset) the room keeps
+// the intensities, colors and sun position it was authored with.
+//   sky          top/bottom colors of the canvas background gradient
+//   environment  Environment map intensity
+//   sunColor     color of lights with "cycle": "sun"
+//   sun          intensity of lights with "cycle": "sun"
+//   ambient      intensity of lights with "cycle": "ambient"
+//   interior     intensity of lights with "cycle": "interior" and of the
+//                emissive presets listed in `timeOfDay.emissive`
+export const DEFAULT_KEYFRAMES = [
+  { hour: 0, sky: ['#0b1026', '#27345c'], environment: 0.15, sunColor: '#8fa6ff', sun: 0.15, ambient: 0.4, interior: 1 },
+  { hour: 5.5, sky: ['#27345c', '#c98a8a'], environment: 0.35, sunColor: '#ffb38a', sun: 0.4, ambient: 0.6, interior: 1 },
+  { hour: 7.5, sky: ['#8fb3e8', '#f6d6b8'], environment: 0.8, sunColor: '#ffe2c4', sun: 1, ambient: 1, interior: 0.2 },
+  { hour: 12, sky: ['#7fa8e8', '#cfe3ff'], environment: 1.2, sunColor: '#ffffff', sun: 1.4, ambient: 1.2, interior: 0 },
+  { hour: 16.5, sky: ['#8fb3e8', '#dbe7ff'], environment: 1.1, sunColor: '#fff1dc', sun: 1.2, ambient: 1.1, interior: 0.1 },
+  { hour: 19, sky: ['#9CB9E7', '#9CB9E7'], environment: 1, sunColor: '#ffffff', sun: 1, ambient: 1, interior: 1 },
+  { hour: 21, sky: ['#2b3a67', '#6d5b97'], environment: 0.35, sunColor: '#9a8cff', sun: 0.3, ambient: 0.6, interior: 1 },
+];
+
+export const REFERENCE_HOUR = 19;
+
+const SUN_DISTANCE = 20;
+
+// The sun rises in the east at 6, peaks at noon and sets at 18; at night the
+// same light stands in for the moon on the opposite arc.
+const sunArc = (hour) => {
+  const angle = ((hour - 6) / 12) * Math.PI;
+  const height = Math.max(Math.abs(Math.sin(angle)), 0.15);
+  return new THREE.Vector3(Math.cos(angle) * SUN_DISTANCE, height * SUN_DISTANCE, -5);
+};
+
+const mixColor = (a, b, t) => `#${new THREE.Color(a).lerp(new THREE.Color(b), t).getHexString()}`;
+
+// Finds the keyframes around `hour`, wrapping from the last one back to the first.
+const surrounding = (keyframes, hour) => {
+  const sorted = [...keyframes].sort((a, b) => a.hour - b.hour);
+  const nextIndex = sorted.findIndex(frame => frame.hour > hour);
+  const next = nextIndex === -1 ? { ...sorted[0], hour: sorted[0].hour + 24 } : sorted[nextIndex];
+  const previous = nextIndex <= 0 ? sorted[sorted.length - 1] : sorted[nextIndex - 1];
+  const start = previous.hour > hour ? previous.hour - 24 : previous.hour;
+  return [previous, next, (hour - start) / (next.hour - start)];
+};
+
+/**
+ * Interpolated lighting for a fractional hour (0–24). `sunOffset` is how far
+ * the sun has moved along its arc since REFERENCE_HOUR.
+ */
+export const sampleTimeOfDay = (hour, keyframes = DEFAULT_KEYFRAMES) => {
+  const [from, to, t] = surrounding(keyframes, ((hour % 24) + 24) % 24);
+  const lerp = (key) => THREE.MathUtils.lerp(from[key], to[key], t);
+
+  return {
+    hour,
+    sky: [mixColor(from.sky[0], to.sky[0], t), mixColor(from.sky[1], to.sky[1], t)],
+    environment: lerp('environment'),
+    sunColor: mixColor(from.sunColor, to.sunColor, t),
+    sun: lerp('sun'),
+    ambient: lerp('ambient'),
+    interior: lerp('interior'),
+    sunOffset: sunArc(hour).sub(sunArc(REFERENCE_HOUR)).toArray(),
+  };
+};
+
+/** Where a sun authored at `position` stands for `sample`. */
+export const sunPosition = (position, sample) => (
+  position.map((value, axis) => value + sample.sunOffset[axis])
+);
+
+const currentHour = () => {
+  const now = new Date();
+  return now.getHours() + now.getMinutes() / 60;
+};
+
+export const formatHour = (hour) => {
+  const minutes = Math.round(hour * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Tracks the hour that drives the cycle. In 'clock' mode it follows the local
+ * time (checked every minute); 'fixed' holds `config.hour`. Scrubbing, or
+ * pinning an hour with `pinnedHour` (e.g. for reproducible renders), switches
+ * to 'fixed' until `followClock` is called.
+ */
+export const useTimeOfDay = (config, pinnedHour = null) => {
+  const [mode, setMode] = useState(() => (pinnedHour !== null ? 'fixed' : config?.mode ?? 'fixed'));
+  const [hour, setHour] = useState(() => (mode === 'clock' ? currentHour() : pinnedHour ?? config?.hour ?? REFERENCE_HOUR));
+
+  useEffect(() => {
+    if (mode !== 'clock') return;
+    setHour(currentHour());
+    const id = setInterval(() => setHour(currentHour()), 60 * 1000);
+    return () => clearInterval(id);
+  }, [mode]);
+
+  const sample = useMemo(() => sampleTimeOfDay(hour, config?.keyframes), [hour, config]);
+
+  return {
+    mode,
+    sample,
+    scrub: (nextHour) => {
+      setMode('fixed');
+      setHour(nextHour);
+    },
+    followClock: () => setMode('clock'),
+  };
+};
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_KEYFRAMES, REFERENCE_HOUR, formatHour, sampleTimeOfDay, sunPosition } from './timeOfDay.js';
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('the reference hour keeps the room as authored', () => {
+  const sample = sampleTimeOfDay(REFERENCE_HOUR);
+  assert.deepEqual([sample.environment, sample.sun, sample.ambient, sample.interior], [1, 1, 1, 1]);
+  assert.equal(sample.sunColor, '#ffffff');
+  assert.deepEqual(sample.sky, ['#9cb9e7', '#9cb9e7']);
+  assert.deepEqual(sunPosition([3, 8, -2], sample), [3, 8, -2]);
+});
+
+test('keyframe hours return their values', () => {
+  DEFAULT_KEYFRAMES.forEach((keyframe) => {
+    const sample = sampleTimeOfDay(keyframe.hour);
+    ['environment', 'sun', 'ambient', 'interior'].forEach(key => assertClose(sample[key], keyframe[key]));
+    assert.equal(sample.sunColor, keyframe.sunColor);
+  });
+});
+
+test('values are interpolated between keyframes', () => {
+  const keyframes = [
+    { hour: 6, sky: ['#000000', '#000000'], environment: 0, sunColor: '#000000', sun: 0, ambient: 0, interior: 0 },
+    { hour: 18, sky: ['#ffffff', '#ffffff'], environment: 1, sunColor: '#ffffff', sun: 2, ambient: 4, interior: 1 },
+  ];
+  const sample = sampleTimeOfDay(9, keyframes);
+  assertClose(sample.environment, 0.25);
+  assertClose(sample.sun, 0.5);
+  assertClose(sample.ambient, 1);
+});
+
+test('the night wraps from the last keyframe back to the first', () => {
+  const keyframes = [
+    { hour: 6, sky: ['#000000', '#000000'], environment: 0, sunColor: '#000000', sun: 0, ambient: 0, interior: 0 },
+    { hour: 18, sky: ['#ffffff', '#ffffff'], environment: 1, sunColor: '#ffffff', sun: 1, ambient: 1, interior: 1 },
+  ];
+  assertClose(sampleTimeOfDay(0, keyframes).environment, 0.5);
+  assertClose(sampleTimeOfDay(21, keyframes).environment, 0.75);
+  assertClose(sampleTimeOfDay(3, keyframes).environment, 0.25);
+});
+
+test('hours outside 0–24 wrap around the day', () => {
+  [[34, 10], [-5, 19]].forEach(([hour, wrappedHour]) => {
+    const { sunOffset, ...lighting } = sampleTimeOfDay(hour);
+    const { sunOffset: expectedOffset, ...expected } = sampleTimeOfDay(wrappedHour);
+    assert.deepEqual({ ...lighting, hour: wrappedHour }, expected);
+    sunOffset.forEach((value, axis) => assertClose(value, expectedOffset[axis]));
+  });
+});
+
+test('the sun peaks at noon and rises on the opposite side from where it sets', () => {
+  const authored = [0, 0, 0];
+  const [sunriseX] = sunPosition(authored, sampleTimeOfDay(6));
+  const [, noonY] = sunPosition(authored, sampleTimeOfDay(12));
+  const [sunsetX, sunsetY] = sunPosition(authored, sampleTimeOfDay(18));
+  assert.ok(noonY > sunsetY);
+  assert.ok(sunriseX > sunsetX);
+});
+
+test('hours are formatted as a 24h clock', () => {
+  assert.equal(formatHour(0), '00:00');
+  assert.equal(formatHour(7.5), '07:30');
+  assert.equal(formatHour(19.25), '19:15');
+  assert.equal(formatHour(23.999), '00:00');
+});
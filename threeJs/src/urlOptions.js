@@ -0,0 +1,43 @@
+// ThreeScene options the standalone app takes from its own URL. Only App.jsx
+// reads them: an embed passes the same options as props or <three-scene>
+// attributes, so it never picks up the query string of the page it is on.
+//   scene           ?scene=room         manifest to load
+//   initialView     ?view=side          camera view to open on
+//   snapshot        ?snapshot           bare scene for the snapshot harness
+//   stats           ?stats              show the stats overlay
+//   editor          ?editor             show the material editor (always in dev)
+//   debugMaterials  ?debugMaterials     log which material rule each mesh matched
+//   quality         ?quality=low        quality level for this visit
+//   weather         ?weather=rain       pinned weather
+//   hour            ?hour=12            pinned time of day
+//   clock           ?time=12.5&paused&timeScale=0.5&fixedStep=30, the scene clock's start
+//   parentOrigin    ?parentOrigin=https://host.example, where iframe events are posted
+
+const numberParam = (params, name, isValid = Number.isFinite) => {
+  const value = Number(params.get(name));
+  return params.has(name) && isValid(value) ? value : undefined;
+};
+
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+export const readUrlOptions = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  return {
+    scene: params.get('scene') || undefined,
+    initialView: params.get('view') ?? undefined,
+    snapshot: params.has('snapshot'),
+    stats: params.has('stats'),
+    editor: Boolean(import.meta.env?.DEV) || params.has('editor'),
+    debugMaterials: params.has('debugMaterials'),
+    quality: params.get('quality') ?? undefined,
+    weather: params.get('weather') ?? undefined,
+    hour: numberParam(params, 'hour'),
+    clock: {
+      time: numberParam(params, 'time', isNonNegative),
+      paused: params.has('paused'),
+      timeScale: numberParam(params, 'timeScale', isNonNegative),
+      fixedStep: numberParam(params, 'fixedStep', isNonNegative),
+    },
+    parentOrigin: params.get('parentOrigin') ?? undefined,
+  };
+};
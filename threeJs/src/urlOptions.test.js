@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { readUrlOptions } from './urlOptions.js';
+
+test('a bare URL leaves every option to ThreeScene', () => {
+  assert.deepEqual(readUrlOptions(''), {
+    scene: undefined,
+    initialView: undefined,
+    snapshot: false,
+    stats: false,
+    editor: false,
+    debugMaterials: false,
+    quality: undefined,
+    weather: undefined,
+    hour: undefined,
+    clock: { time: undefined, paused: false, timeScale: undefined, fixedStep: undefined },
+    parentOrigin: undefined,
+  });
+});
+
+test('flags are on when present, whatever their value', () => {
+  const options = readUrlOptions('?snapshot&stats=0&editor&debugMaterials');
+  assert.equal(options.snapshot, true);
+  assert.equal(options.stats, true);
+  assert.equal(options.editor, true);
+  assert.equal(options.debugMaterials, true);
+});
+
+test('named options are passed on as written', () => {
+  const options = readUrlOptions('?scene=room&view=side&quality=low&weather=rain&parentOrigin=https://host.example');
+  assert.equal(options.scene, 'room');
+  assert.equal(options.initialView, 'side');
+  assert.equal(options.quality, 'low');
+  assert.equal(options.weather, 'rain');
+  assert.equal(options.parentOrigin, 'https://host.example');
+});
+
+test('the clock and hour are read as numbers', () => {
+  const options = readUrlOptions('?hour=6.5&time=12.5&paused&timeScale=0.5&fixedStep=30');
+  assert.equal(options.hour, 6.5);
+  assert.deepEqual(options.clock, { time: 12.5, paused: true, timeScale: 0.5, fixedStep: 30 });
+});
+
+test('numbers that are not numbers, or negative clock values, are dropped', () => {
+  const options = readUrlOptions('?hour=noon&time=-1&timeScale=fast&fixedStep=-30');
+  assert.equal(options.hour, undefined);
+  assert.deepEqual(options.clock, { time: undefined, paused: false, timeScale: undefined, fixedStep: undefined });
+});
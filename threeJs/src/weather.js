@@ -0,0 +1,204 @@
+import { useEffect, useMemo, useState } from 'react';
+import * as THREE from 'three';
+import { useAssetUrl } from './assets.js';
+
+// Weather outside the room, from the manifest's `weather` section. Each kind
+// of weather is one layer of instanced particles (see WeatherEffects.jsx)
+// that fall, drift and wrap around inside a box around the room, skipping the
+// room itself. Changing the weather fades the old layer out and the new one in
+// over `transition` seconds.
+//
+// Particle settings, in world units and seconds:
+//   count    particles at full intensity (before the performance governor)
+//   shape    'streak' (stretched along its fall), 'flake', 'leaf' (spins and
+//            tumbles) or 'puff' (a soft blob)
+//   size     width of a particle; `length` is a streak's length
+//   fall     falling speed
+//   wind     horizontal drift as [x, z]
+//   sway     how far a particle wanders from its path
+//   spin     how fast leaves turn (radians per second)
+//   band     the part of the box's height it fills, as [bottom, top] in 0–1
+//   colors   1 to 3 colors, picked at random per particle
+//   opacity  opacity of a particle
+export const WEATHER_TYPES = {
+  rain: { count: 3000, shape: 'streak', size: 0.012, length: 0.35, fall: 8, wind: [0.8, 0], sway: 0, spin: 0, band: [0, 1], colors: ['#b8cde6'], opacity: 0.55 },
+  snow: { count: 2500, shape: 'flake', size: 0.06, fall: 0.7, wind: [0.2, 0.1], sway: 0.3, spin: 0, band: [0, 1], colors: ['#ffffff'], opacity: 0.9 },
+  leaves: { count: 300, shape: 'leaf', size: 0.14, fall: 0.9, wind: [0.6, 0.2], sway: 0.8, spin: 2.5, band: [0, 1], colors: ['#d9822b', '#b5472b', '#e0b341'], opacity: 1 },
+  fog: { count: 90, shape: 'puff', size: 3.5, fall: 0, wind: [0.15, 0.05], sway: 0.2, spin: 0, band: [0, 0.35], colors: ['#eef2f6'], opacity: 0.18 },
+};
+
+// 'clear' has no particles.
+export const WEATHER_NAMES = ['clear', ...Object.keys(WEATHER_TYPES)];
+
+// Room bounds are grown by this much before they are left out, so nothing
+// falls right against the walls.
+const EXCLUDE_MARGIN = 0.1;
+
+/**
+ * The box the weather fills and the room box it skips, in the frame the room
+ * was measured in. Without an `area` in the manifest, the weather fills the
+ * room's bounds grown by `margin` on every side.
+ */
+export const weatherArea = (config, roomBounds) => {
+  const area = config.area
+    ? new THREE.Box3(new THREE.Vector3(...config.area.min), new THREE.Vector3(...config.area.max))
+    : roomBounds.clone().expandByScalar(config.margin);
+  return { area, exclude: roomBounds.clone().expandByScalar(EXCLUDE_MARGIN) };
+};
+
+/** Small seeded generator, so every load (and snapshot) scatters particles the same way. */
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Reads one answer of the weather feed: { "weather": "rain", "intensity": 0.6 }
+ * with `weather` one of WEATHER_NAMES and `intensity` (optional, default 1)
+ * between 0 and 1. Throws on anything else.
+ */
+export const readWeatherFeed = (data) => {
+  const { weather, intensity = 1 } = data ?? {};
+  if (!WEATHER_NAMES.includes(weather)) {
+    throw new Error(`expected "weather" to be one of ${WEATHER_NAMES.join(', ')}, got ${JSON.stringify(weather)}`);
+  }
+  if (typeof intensity !== 'number' || intensity < 0 || intensity > 1) {
+    throw new Error(`expected "intensity" to be a number between 0 and 1, got ${JSON.stringify(intensity)}`);
+  }
+  return { weather, intensity };
+};
+
+/**
+ * Tracks the current weather. With a `feed` it starts in 'feed' mode and polls
+ * the feed every `pollInterval` seconds; picking a weather, or pinning one
+ * with `pinned` (e.g. for reproducible renders), switches to 'manual' until
+ * `followFeed` is called. `canFollowFeed: false` (snapshots) never polls.
+ */
+export const useWeather = (config, { canFollowFeed = true, pinned } = {}) => {
+  const url = useAssetUrl();
+  const pinnedWeather = WEATHER_NAMES.includes(pinned) ? pinned : null;
+  const hasFeed = Boolean(config?.feed) && canFollowFeed;
+  const [mode, setMode] = useState(() => (hasFeed && pinnedWeather === null ? 'feed' : 'manual'));
+  const [current, setCurrent] = useState(() => ({ weather: pinnedWeather ?? config?.initial ?? 'clear', intensity: config?.intensity ?? 1 }));
+
+  useEffect(() => {
+    if (mode !== 'feed' || !hasFeed) return;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const response = await fetch(url(config.feed), { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const reading = readWeatherFeed(await response.json());
+        if (!cancelled) setCurrent(reading);
+      } catch (error) {
+        // The last good reading stays up until the feed answers again.
+        console.warn(`[weather] could not read ${config.feed}: ${error.message}`);
+      }
+    };
+
+    poll();
+    const id = setInterval(poll, config.pollInterval * 1000);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [mode, hasFeed, config, url]);
+
+  return {
+    mode,
+    hasFeed,
+    ...current,
+    select: (weather) => {
+      setMode('manual');
+      setCurrent({ weather, intensity: config?.intensity ?? 1 });
+    },
+    followFeed: () => setMode('feed'),
+  };
+};
+
+// --- Ambient Sound ---
+
+// Milliseconds between volume steps while fading.
+const FADE_INTERVAL = 50;
+
+/**
+ * One looping HTML5 Audio element per weather in `sounds` ({ weather: src }).
+ * `mix` fades each one to its volume over `duration` seconds; silent ones are
+ * paused. Browsers block audio until the page has been interacted with, so a
+ * blocked sound tries again on the next pointer press.
+ */
+const createAmbience = (sounds, url) => {
+  const channels = Object.entries(sounds).map(([weather, src]) => {
+    const audio = new Audio();
+    Object.assign(audio, { loop: true, preload: 'none', volume: 0, src: url(src) });
+    return { weather, audio, from: 0, to: 0 };
+  });
+  let timer = null;
+  let elapsed = 0;
+  let fadeDuration = 0;
+
+  const start = (audio) => audio.play().catch(() => {
+    window.addEventListener('pointerdown', () => audio.volume > 0 && audio.play().catch(() => {}), { once: true });
+  });
+
+  const step = () => {
+    elapsed += FADE_INTERVAL / 1000;
+    const t = fadeDuration > 0 ? Math.min(elapsed / fadeDuration, 1) : 1;
+    channels.forEach((channel) => {
+      channel.audio.volume = THREE.MathUtils.lerp(channel.from, channel.to, t);
+      if (t === 1 && channel.to === 0) channel.audio.pause();
+    });
+    if (t === 1) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    mix: (volumes, duration) => {
+      channels.forEach((channel) => {
+        channel.from = channel.audio.volume;
+        channel.to = volumes[channel.weather] ?? 0;
+        if (channel.to > 0 && channel.audio.paused) start(channel.audio);
+      });
+      elapsed = 0;
+      fadeDuration = duration;
+      if (!timer) timer = setInterval(step, FADE_INTERVAL);
+      step();
+    },
+    destroy: () => {
+      clearInterval(timer);
+      channels.forEach(({ audio }) => {
+        audio.pause();
+        audio.removeAttribute('src');
+      });
+    },
+  };
+};
+
+/**
+ * Plays the manifest's weather `sounds` for the current weather, at its
+ * intensity times `volume`, crossfading with the particles. Nothing plays
+ * until `enabled`.
+ */
+export const useWeatherAmbience = (config, { weather, intensity }, enabled) => {
+  const url = useAssetUrl();
+  const sounds = config?.sounds;
+  const ambience = useMemo(
+    () => (enabled && sounds && Object.keys(sounds).length > 0 ? createAmbience(sounds, url) : null),
+    [enabled, sounds, url],
+  );
+
+  useEffect(() => () => ambience?.destroy(), [ambience]);
+
+  useEffect(() => {
+    ambience?.mix({ [weather]: intensity * config.volume }, config.transition);
+  }, [ambience, weather, intensity, config]);
+};
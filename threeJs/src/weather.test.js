@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import * as THREE from 'three';
+import { WEATHER_NAMES, readWeatherFeed, seededRandom, weatherArea } from './weather.js';
+
+const room = new THREE.Box3(new THREE.Vector3(0, 0, 0), new THREE.Vector3(4, 3, 5));
+
+// --- Feed ---
+
+test('a feed reading gives the weather and its intensity', () => {
+  assert.deepEqual(readWeatherFeed({ weather: 'rain', intensity: 0.6 }), { weather: 'rain', intensity: 0.6 });
+  assert.deepEqual(readWeatherFeed({ weather: 'fog' }), { weather: 'fog', intensity: 1 });
+});
+
+test('every known weather is accepted from the feed', () => {
+  WEATHER_NAMES.forEach(weather => assert.equal(readWeatherFeed({ weather }).weather, weather));
+});
+
+test('unknown weather is rejected', () => {
+  assert.throws(() => readWeatherFeed({ weather: 'hail' }), /expected "weather" to be one of clear, rain, snow, leaves, fog, got "hail"/);
+  assert.throws(() => readWeatherFeed(null), /got undefined/);
+});
+
+test('an intensity outside 0–1 is rejected', () => {
+  assert.throws(() => readWeatherFeed({ weather: 'snow', intensity: 1.5 }), /expected "intensity" to be a number between 0 and 1, got 1.5/);
+  assert.throws(() => readWeatherFeed({ weather: 'snow', intensity: '0.5' }), /got "0.5"/);
+});
+
+// --- Area ---
+
+test('without an area the weather fills the room grown by the margin', () => {
+  const { area } = weatherArea({ area: null, margin: 4 }, room);
+  assert.deepEqual(area.min.toArray(), [-4, -4, -4]);
+  assert.deepEqual(area.max.toArray(), [8, 7, 9]);
+});
+
+test('an authored area is used as given', () => {
+  const { area } = weatherArea({ area: { min: [-10, -1, -10], max: [10, 12, 10] }, margin: 4 }, room);
+  assert.deepEqual(area.min.toArray(), [-10, -1, -10]);
+  assert.deepEqual(area.max.toArray(), [10, 12, 10]);
+});
+
+test('the room is left out with a little room to spare, and not changed', () => {
+  const { exclude } = weatherArea({ area: null, margin: 4 }, room);
+  assert.ok(exclude.containsBox(room));
+  assert.ok(!exclude.equals(room));
+  assert.deepEqual(room.max.toArray(), [4, 3, 5]);
+});
+
+// --- Scatter ---
+
+test('the same seed scatters particles the same way', () => {
+  const first = seededRandom(42);
+  const second = seededRandom(42);
+  const values = Array.from({ length: 100 }, () => first());
+  assert.deepEqual(Array.from({ length: 100 }, () => second()), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  const other = seededRandom(43);
+  assert.notDeepEqual(Array.from({ length: 100 }, () => other()), values);
+});
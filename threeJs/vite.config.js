@@ -1,7 +1,77 @@
+import fs from 'node:fs'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
-// https://vite.dev/config/
-export default defineConfig({
+// Draco and Basis (KTX2) decoders for compressed GLBs, taken from the installed
+// three so they always match its loaders. Served under /decoders/ in dev and
+// copied into the build; see src/gltf.js.
+const DECODERS = {
+  draco: ['node_modules/three/examples/jsm/libs/draco/gltf', ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']],
+  basis: ['node_modules/three/examples/jsm/libs/basis', ['basis_transcoder.js', 'basis_transcoder.wasm']],
+}
+
+const decoderFile = (name, file) => {
+  const [dir, files] = DECODERS[name] ?? []
+  return files?.includes(file) ? path.resolve(dir, file) : null
+}
+
+function decoders() {
+  return {
+    name: 'decoders',
+    configureServer(server) {
+      server.middlewares.use('/decoders', (req, res, next) => {
+        const [, name, file] = req.url.split('?')[0].split('/')
+        const source = decoderFile(name, file)
+        if (!source) return next()
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        fs.createReadStream(source).pipe(res)
+      })
+    },
+    generateBundle() {
+      Object.entries(DECODERS).forEach(([name, [, files]]) => files.forEach(file => this.emitFile({
+        type: 'asset',
+        fileName: `decoders/${name}/${file}`,
+        source: fs.readFileSync(decoderFile(name, file)),
+      })))
+    },
+  }
+}
+
+// `npm run build:lib` runs both library builds into dist-lib/. `lib` is the
+// React component, leaving React, three and react-three-fiber to the app that
+// imports it; `element` is the <three-scene> custom element with everything
+// bundled. Neither copies public/: models, audio and decoders are fetched from
+// the scene's asset base (see src/assets.js).
+const LIBRARY_BUILDS = {
+  lib: {
+    entry: 'src/lib.js',
+    fileName: 'three-scene',
+    external: [/^react(-dom)?(\/|$)/, /^three(\/|$)/, /^@react-three\//],
+  },
+  element: {
+    entry: 'src/element.jsx',
+    fileName: 'three-scene-element',
+    external: [],
+  },
+}
+
+const libraryConfig = ({ entry, fileName, external }, mode) => ({
   plugins: [react()],
+  publicDir: false,
+  // A standalone bundle has no bundler downstream to set this for React.
+  define: external.length === 0 ? { 'process.env.NODE_ENV': JSON.stringify('production') } : {},
+  build: {
+    outDir: 'dist-lib',
+    emptyOutDir: mode === 'lib',
+    lib: { entry, formats: ['es'], fileName: () => `${fileName}.js` },
+    rollupOptions: { external },
+  },
 })
+
+// https://vite.dev/config/
+export default defineConfig(({ mode }) => (
+  LIBRARY_BUILDS[mode]
+    ? libraryConfig(LIBRARY_BUILDS[mode], mode)
+    : { plugins: [react(), decoders()] }
+))